@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "mustChangePassword" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "passwordChangedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "password_history" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "password_history_userId_createdAt_idx" ON "password_history"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "password_history" ADD CONSTRAINT "password_history_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
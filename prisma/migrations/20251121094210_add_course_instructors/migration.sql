@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "CourseInstructorRole" AS ENUM ('CO_OWNER', 'CO_TRAINER');
+
+-- CreateTable
+CREATE TABLE "course_instructors" (
+    "id" SERIAL NOT NULL,
+    "courseId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "CourseInstructorRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "course_instructors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "course_instructors_userId_idx" ON "course_instructors"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "course_instructors_courseId_userId_key" ON "course_instructors"("courseId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "course_instructors" ADD CONSTRAINT "course_instructors_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "course_instructors" ADD CONSTRAINT "course_instructors_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "impersonatorId" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_impersonatorId_fkey" FOREIGN KEY ("impersonatorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,72 @@
+-- DropIndex
+DROP INDEX "Course_Category_name_key";
+
+-- DropIndex
+DROP INDEX "Role_name_key";
+
+-- DropIndex
+DROP INDEX "departments_name_key";
+
+-- CreateTable
+CREATE TABLE "organizations" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "organizations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organizations_slug_key" ON "organizations"("slug");
+
+-- Default organization (id 1) that owns all existing data
+INSERT INTO "organizations" ("id", "name", "slug", "updatedAt") VALUES (1, 'Default organization', 'default', CURRENT_TIMESTAMP);
+SELECT setval(pg_get_serial_sequence('"organizations"', 'id'), 1);
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "organizationId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Role" ADD COLUMN     "organizationId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "organizationId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Course_Category" ADD COLUMN     "organizationId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "departments" ADD COLUMN     "organizationId" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex
+CREATE INDEX "User_organizationId_idx" ON "User"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Role_organizationId_name_key" ON "Role"("organizationId", "name");
+
+-- CreateIndex
+CREATE INDEX "Course_organizationId_idx" ON "Course"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Course_Category_organizationId_name_key" ON "Course_Category"("organizationId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "departments_organizationId_name_key" ON "departments"("organizationId", "name");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Role" ADD CONSTRAINT "Role_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Course" ADD CONSTRAINT "Course_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Course_Category" ADD CONSTRAINT "Course_Category_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "departments" ADD CONSTRAINT "departments_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "module_materials" (
+    "id" SERIAL NOT NULL,
+    "moduleId" INTEGER NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "uploadedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "module_materials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "module_materials_storageKey_key" ON "module_materials"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "module_materials_moduleId_idx" ON "module_materials"("moduleId");
+
+-- AddForeignKey
+ALTER TABLE "module_materials" ADD CONSTRAINT "module_materials_moduleId_fkey" FOREIGN KEY ("moduleId") REFERENCES "Module"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "module_materials" ADD CONSTRAINT "module_materials_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "ssoManagedRole" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,14 @@
+-- Course ownership (20251121094210_add_course_instructors) limits course work to
+-- owners and instructors unless a role holds these capabilities. Grant them to
+-- existing admin roles so upgraded deployments keep access to every course.
+INSERT INTO "Capability" ("name", "category") VALUES
+    ('manage_any_course', 'course management'),
+    ('grade_any_course', 'course management')
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "RoleCapability" ("roleId", "capabilityId")
+SELECT r."id", c."id"
+FROM "Role" r
+CROSS JOIN "Capability" c
+WHERE r."name" = 'admin' AND c."name" IN ('manage_any_course', 'grade_any_course')
+ON CONFLICT ("roleId", "capabilityId") DO NOTHING;
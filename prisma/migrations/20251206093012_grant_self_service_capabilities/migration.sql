@@ -0,0 +1,17 @@
+-- Changing one's own password, viewing one's login history and exporting one's
+-- own data each need a capability. The seed grants them to the built-in roles;
+-- grant them to existing admin, trainer and trainee roles so upgraded
+-- deployments keep these self-service endpoints working for every user.
+INSERT INTO "Capability" ("name", "category") VALUES
+    ('change_own_password', 'profile'),
+    ('view_own_login_history', 'profile'),
+    ('export_own_data', 'profile')
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "RoleCapability" ("roleId", "capabilityId")
+SELECT r."id", c."id"
+FROM "Role" r
+CROSS JOIN "Capability" c
+WHERE r."name" IN ('admin', 'trainer', 'trainee')
+  AND c."name" IN ('change_own_password', 'view_own_login_history', 'export_own_data')
+ON CONFLICT ("roleId", "capabilityId") DO NOTHING;
@@ -1,92 +1,27 @@
 // File: BACKEND/prisma/seed.js
 const { PrismaClient } = require("@prisma/client");
+const { CAP, listCapabilities } = require("../src/utils/capabilities");
+const { DEFAULT_ORGANIZATION_ID } = require("../src/utils/tenant");
 const prisma = new PrismaClient();
 
+const findDefaultRole = (name) =>
+  prisma.role.findUnique({
+    where: { organizationId_name: { organizationId: DEFAULT_ORGANIZATION_ID, name } },
+  });
+
 async function main() {
   // 1. Create default roles
   const roles = [{ name: "admin" }, { name: "trainer" }, { name: "trainee" }];
   for (const roleData of roles) {
     await prisma.role.upsert({
-      where: { name: roleData.name },
+      where: { organizationId_name: { organizationId: DEFAULT_ORGANIZATION_ID, name: roleData.name } },
       update: {},
       create: roleData,
     });
   }
 
-  // 2. Create default capabilities
-  const capabilities = [
-    // User Profile Management
-    { name: "view_own_profile", category: "profile" },
-    { name: "update_own_profile", category: "profile" },
-    { name: "upload_profile_photo", category: "profile" },
-    // User Directory & Administration
-    { name: "search_users", category: "user administration" },
-    { name: "create_user", category: "user administration" },
-    { name: "view_all_users", category: "user administration" },
-    { name: "view_user_by_id", category: "user administration" },
-    { name: "update_user", category: "user administration" },
-    { name: "delete_user", category: "user administration" },
-    { name: "change_user_role", category: "user administration" },
-    // Role & Permission Management
-    { name: "view_roles", category: "role management" },
-    { name: "view_capabilities", category: "role management" },
-    { name: "create_roles", category: "role management" },
-    { name: "create_capabilities", category: "role management" },
-    { name: "assign_capabilities_to_role", category: "role management" },
-    // Course Catalog & Management
-    { name: "view_courses", category: "course catalog" },
-    { name: "view_single_course", category: "course catalog" },
-    { name: "create_courses", category: "course management" },
-    { name: "update_course", category: "course management" },
-    { name: "delete_course", category: "course management" },
-    // Enrollment Control
-    { name: "enroll_courses", category: "enrollment" },
-    { name: "view_enrolled_courses_by_user_id", category: "enrollment" },
-    { name: "unenroll_courses", category: "enrollment" },
-    // Course Categories
-    { name: "view_course_categories", category: "course organization" },
-    { name: "create_course_categories", category: "course organization" },
-    // Module & Lesson Management
-    { name: "view_modules", category: "module management" },
-    { name: "create_modules", category: "module management" },
-    { name: "get_single_module", category: "module management" },
-    { name: "update_module", category: "module management" },
-    { name: "delete_module", category: "module management" },
-    { name: "reorder_module", category: "module management" },
-    { name: "update_module_completion_status", category: "module management" },
-    // Assessment Admin
-    { name: "create_assessments", category: "assessment admin" },
-    { name: "view_assessments", category: "assessment admin" },
-    { name: "view_assessment_by_id", category: "assessment admin" },
-    { name: "update_assessments", category: "assessment admin" },
-    { name: "delete_assessments", category: "assessment admin" },
-    { name: "toggle_assessment_status", category: "assessment admin" },
-    { name: "duplicate_assessment", category: "assessment admin" },
-    { name: "add_question_to_assessment", category: "assessment admin" },
-    { name: "update_question", category: "assessment admin" },
-    { name: "delete_question", category: "assessment admin" },
-    // Assessment Analytics
-    { name: "view_assessment_analytics", category: "assessment analytics" },
-    { name: "view_assessments_submissions", category: "assessment analytics" },
-    { name: "view_assessment_analytics_courselevel", category: "assessment analytics" },
-    // Assessment Grading (EXISTING)
-    { name: "pending_grading", category: "assessment grading" },
-    { name: "give_grade_to_questions", category: "assessment grading" },
-    // Assessment Submission Management (NEW)
-    { name: "approve_submission_review", category: "assessment grading" },
-    { name: "view_submission_details", category: "assessment grading" },
-    // Assessment Participation
-    { name: "view_all_enrolled_assessment", category: "assessment participation" },
-    { name: "view_enrolled_assessment_by_id", category: "assessment participation" },
-    { name: "start_taking_assessment", category: "assessment participation" },
-    { name: "save_answer", category: "assessment participation" },
-    { name: "submit_assessment", category: "assessment participation" },
-    { name: "get_user_result", category: "assessment participation" },
-    { name: "review_submission", category: "assessment participation" },
-    { name: "view_assessment_progress", category: "assessment participation" }
-  ];
-
-  for (const cap of capabilities) {
+  // 2. Create default capabilities (see src/utils/capabilities.js)
+  for (const cap of listCapabilities()) {
     await prisma.capability.upsert({
       where: { name: cap.name },
       update: { category: cap.category },
@@ -95,9 +30,9 @@ async function main() {
   }
 
   // 3. Assign capabilities to roles
-  const adminRole = await prisma.role.findUnique({ where: { name: "admin" } });
-  const trainerRole = await prisma.role.findUnique({ where: { name: "trainer" } });
-  const traineeRole = await prisma.role.findUnique({ where: { name: "trainee" } });
+  const adminRole = await findDefaultRole("admin");
+  const trainerRole = await findDefaultRole("trainer");
+  const traineeRole = await findDefaultRole("trainee");
   const allCaps = await prisma.capability.findMany();
 
   // Assign all to admin
@@ -111,33 +46,36 @@ async function main() {
 
   // Trainer: GRANTS (UPDATED - Added new grading capabilities)
   const trainerCaps = [
-    "view_courses",
-    "view_single_course",
-    "create_courses",
-    "update_course",
-    "enroll_courses",
-    "view_modules",
-    "create_modules",
-    "update_module",
-    "view_assessments",
-    "view_assessment_by_id",
-    "create_assessments",
-    "update_assessments",
-    "toggle_assessment_status",
-    "duplicate_assessment",
-    "add_question_to_assessment",
-    "update_question",
-    "delete_question",
-    "view_assessment_analytics",
-    "view_assessments_submissions",
-    "view_assessment_analytics_courselevel",
-    "pending_grading",
-    "give_grade_to_questions",
-    "approve_submission_review", // NEW
-    "view_submission_details",    // NEW
-    "view_own_profile",
-    "update_own_profile",
-    "upload_profile_photo"
+    CAP.VIEW_COURSES,
+    CAP.VIEW_SINGLE_COURSE,
+    CAP.CREATE_COURSES,
+    CAP.UPDATE_COURSE,
+    CAP.ENROLL_COURSES,
+    CAP.VIEW_MODULES,
+    CAP.CREATE_MODULES,
+    CAP.UPDATE_MODULE,
+    CAP.VIEW_ASSESSMENTS,
+    CAP.VIEW_ASSESSMENT_BY_ID,
+    CAP.CREATE_ASSESSMENTS,
+    CAP.UPDATE_ASSESSMENTS,
+    CAP.TOGGLE_ASSESSMENT_STATUS,
+    CAP.DUPLICATE_ASSESSMENT,
+    CAP.ADD_QUESTION_TO_ASSESSMENT,
+    CAP.UPDATE_QUESTION,
+    CAP.DELETE_QUESTION,
+    CAP.VIEW_ASSESSMENT_ANALYTICS,
+    CAP.VIEW_ASSESSMENTS_SUBMISSIONS,
+    CAP.VIEW_ASSESSMENT_ANALYTICS_COURSELEVEL,
+    CAP.PENDING_GRADING,
+    CAP.GIVE_GRADE_TO_QUESTIONS,
+    CAP.APPROVE_SUBMISSION_REVIEW, // NEW
+    CAP.VIEW_SUBMISSION_DETAILS,    // NEW
+    CAP.VIEW_OWN_PROFILE,
+    CAP.UPDATE_OWN_PROFILE,
+    CAP.UPLOAD_PROFILE_PHOTO,
+    CAP.CHANGE_OWN_PASSWORD,
+    CAP.VIEW_OWN_LOGIN_HISTORY,
+    CAP.EXPORT_OWN_DATA
   ];
   for (const name of trainerCaps) {
     const cap = allCaps.find((c) => c.name === name);
@@ -152,21 +90,24 @@ async function main() {
 
   // Trainee: GRANTS (UNCHANGED)
   const traineeCaps = [
-    "view_courses",
-    "view_single_course",
-    "get_single_module",
-    "view_modules",
-    "view_all_enrolled_assessment",
-    "view_enrolled_assessment_by_id",
-    "start_taking_assessment",
-    "save_answer",
-    "submit_assessment",
-    "get_user_result",
-    "review_submission",
-    "view_assessment_progress",
-    "view_own_profile",
-    "update_own_profile",
-    "upload_profile_photo"
+    CAP.VIEW_COURSES,
+    CAP.VIEW_SINGLE_COURSE,
+    CAP.GET_SINGLE_MODULE,
+    CAP.VIEW_MODULES,
+    CAP.VIEW_ALL_ENROLLED_ASSESSMENT,
+    CAP.VIEW_ENROLLED_ASSESSMENT_BY_ID,
+    CAP.START_TAKING_ASSESSMENT,
+    CAP.SAVE_ANSWER,
+    CAP.SUBMIT_ASSESSMENT,
+    CAP.GET_USER_RESULT,
+    CAP.REVIEW_SUBMISSION,
+    CAP.VIEW_ASSESSMENT_PROGRESS,
+    CAP.VIEW_OWN_PROFILE,
+    CAP.UPDATE_OWN_PROFILE,
+    CAP.UPLOAD_PROFILE_PHOTO,
+    CAP.CHANGE_OWN_PASSWORD,
+    CAP.VIEW_OWN_LOGIN_HISTORY,
+    CAP.EXPORT_OWN_DATA
   ];
   for (const name of traineeCaps) {
     const cap = allCaps.find((c) => c.name === name);
@@ -180,7 +121,7 @@ async function main() {
   }
 
   // 4. Create sample users (with profile fields)
-  const adminUser = await prisma.user.upsert({
+  await prisma.user.upsert({
     where: { email: "admin@example.com" },
     update: {},
     create: {
@@ -190,6 +131,7 @@ async function main() {
       fullName: "Admin User",
       phoneNumber: "+91-9999999999",
       designation: "System Administrator",
+      emailVerified: true,
     },
   });
 
@@ -203,6 +145,7 @@ async function main() {
       fullName: "Trainer User",
       phoneNumber: "+91-8888888888",
       designation: "Senior Trainer",
+      emailVerified: true,
     },
   });
 
@@ -216,6 +159,7 @@ async function main() {
       fullName: "Trainee User",
       phoneNumber: "+91-7777777777",
       designation: "Student",
+      emailVerified: true,
     },
   });
 
@@ -0,0 +1,77 @@
+// Sync the capability registry (src/utils/capabilities.js) into the database.
+//   npm run capabilities:sync               create missing capabilities, fix categories, report drift
+//   npm run capabilities:sync -- --prune    also delete capabilities that are no longer registered
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { listCapabilities } = require('../src/utils/capabilities');
+
+const prisma = new PrismaClient();
+
+// Loading the routes runs every authorize() call, which throws for unregistered names
+function findUnknownCapabilities() {
+  const routesDir = path.join(__dirname, '..', 'src', 'routes');
+  const problems = [];
+  for (const file of fs.readdirSync(routesDir).filter(f => f.endsWith('.js'))) {
+    try {
+      require(path.join(routesDir, file));
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const prune = process.argv.includes('--prune');
+  const registry = listCapabilities();
+  const registered = new Set(registry.map(cap => cap.name));
+  const existing = new Map((await prisma.capability.findMany()).map(cap => [cap.name, cap]));
+
+  const created = [];
+  const recategorized = [];
+  for (const cap of registry) {
+    const current = existing.get(cap.name);
+    if (!current) {
+      await prisma.capability.create({ data: cap });
+      created.push(cap.name);
+    } else if (current.category !== cap.category) {
+      await prisma.capability.update({ where: { id: current.id }, data: { category: cap.category } });
+      recategorized.push(`${cap.name} (${current.category} -> ${cap.category})`);
+    }
+  }
+
+  const orphaned = [...existing.values()].filter(cap => !registered.has(cap.name));
+  if (prune) {
+    for (const cap of orphaned) {
+      await prisma.$transaction([
+        prisma.roleCapability.deleteMany({ where: { capabilityId: cap.id } }),
+        prisma.capability.delete({ where: { id: cap.id } })
+      ]);
+    }
+  }
+
+  const unknown = findUnknownCapabilities();
+
+  const report = (title, items) => {
+    console.log(`${title}: ${items.length}`);
+    items.forEach(item => console.log(`  - ${item}`));
+  };
+  report('Created', created);
+  report('Recategorized', recategorized);
+  report(prune ? 'Orphaned (deleted)' : 'Orphaned (in database, not registered; use --prune to delete)',
+    orphaned.map(cap => cap.name));
+  report('Unknown (used by routes, not registered)', unknown);
+
+  if (unknown.length > 0) process.exitCode = 1;
+}
+
+main()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,16 +1,76 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/session');
+const { looksLikeApiKey, findActiveApiKey } = require('../utils/apiKey');
+const { runWithTenant } = require('../utils/tenant');
 
-function authenticateToken(req, res, next) {
+// Impersonated sessions are read-only apart from routes that opt in
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Service accounts send `X-API-Key: tbk_...` or `Authorization: Bearer tbk_...`
+async function authenticateApiKey(rawKey, req, res, next) {
+  try {
+    const apiKey = await findActiveApiKey(rawKey);
+    if (!apiKey) return res.status(401).json({ message: 'Invalid or expired API key' });
+
+    req.user = {
+      userId: apiKey.userId,
+      role: apiKey.user.role?.name || apiKey.user.roleId,
+      apiKeyId: apiKey.id,
+      apiKeyCapabilities: apiKey.capabilities.map(kc => kc.capability.name),
+      org: apiKey.user.organizationId
+    };
+    // Everything after this middleware only sees the service account's organization
+    runWithTenant(req.user.org, next);
+  } catch (error) {
+    console.error('API key lookup error:', error);
+    return res.status(500).json({ message: 'Authentication failed' });
+  }
+}
+
+function authenticate(req, res, next, { allowImpersonatedWrites = false } = {}) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
+  const apiKey = req.headers['x-api-key'] || (looksLikeApiKey(token) ? token : null);
+
+  if (apiKey) return authenticateApiKey(apiKey, req, res, next);
 
   if (!token) return res.status(401).json({ message: 'Access token required' });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ message: 'Invalid token' });
+
+    try {
+      // Tokens without a session id predate server-side sessions and cannot be revoked;
+      // tokens without an organization predate tenants and cannot be scoped
+      if (!user.sid || !user.org || !(await isSessionActive(user.sid))) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+    } catch (error) {
+      console.error('Session lookup error:', error);
+      return res.status(500).json({ message: 'Authentication failed' });
+    }
+
+    if (user.imp) {
+      user.impersonatorId = user.imp;
+      if (!allowImpersonatedWrites && !SAFE_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'This action is not allowed while impersonating a user'
+        });
+      }
+    }
+
     req.user = user;
-    next();
+    runWithTenant(user.org, next);
   });
 }
 
+function authenticateToken(req, res, next) {
+  return authenticate(req, res, next);
+}
+
+// For the few write routes that must work during impersonation (e.g. stopping it)
+authenticateToken.allowImpersonatedWrites = (req, res, next) =>
+  authenticate(req, res, next, { allowImpersonatedWrites: true });
+
 module.exports = authenticateToken;
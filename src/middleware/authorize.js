@@ -1,28 +1,91 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { getUserAccess, getCategoryCapabilities } = require('../utils/capabilityCache');
+const { isKnownCapability, isKnownCategory } = require('../utils/capabilities');
+
+const CATEGORY_PREFIX = 'category:';
+
+// Every capability (or category wildcard) some route requires; reported by the sync command
+const requiredCapabilities = new Set();
+
+// Fail at route definition time so an unregistered capability can never ship
+function assertRegistered(item) {
+  const known = typeof item === 'string' && (item.startsWith(CATEGORY_PREFIX)
+    ? isKnownCategory(item.slice(CATEGORY_PREFIX.length))
+    : isKnownCapability(item));
+  if (!known) {
+    throw new Error(`authorize(): unknown capability ${JSON.stringify(item)}. Register it in src/utils/capabilities.js`);
+  }
+  requiredCapabilities.add(item);
+}
+
+/**
+ * Whether the request's user holds a capability. Only valid after authorize()
+ * has resolved req.currentUser; ownership policies use it for "any course" overrides.
+ */
+function hasCapability(req, name) {
+  const role = req.currentUser && req.currentUser.role;
+  if (!role || !role.capabilities.has(name)) return false;
+  // API keys are limited to their own subset of the service account's capabilities
+  return !req.user.apiKeyId || req.user.apiKeyCapabilities.includes(name);
+}
+
+/**
+ * Route guard for capabilities registered in utils/capabilities. Accepts
+ *   authorize(CAP.VIEW_ALL_USERS)                                - a single capability
+ *   authorize({ anyOf: [CAP.PENDING_GRADING, CAP.SAVE_ANSWER] }) - at least one of the list
+ *   authorize({ allOf: [CAP.VIEW_ALL_USERS, CAP.UPDATE_USER] })  - every item of the list
+ * List items may be `category:<name>` wildcards over Capability.category, e.g.
+ * authorize({ allOf: ['category:assessment admin'] }). In anyOf a wildcard is
+ * satisfied by any capability of the category, in allOf it needs all of them.
+ * authorize.anyOf(...names) and authorize.allOf(...names) are shorthands.
+ */
+function authorize(requirement) {
+  if (requirement == null) assertRegistered(requirement);
+  const mode = typeof requirement === 'string' || requirement.allOf ? 'allOf' : 'anyOf';
+  const items = typeof requirement === 'string' ? [requirement] : requirement[mode];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('authorize() needs a capability name or a non-empty anyOf/allOf list');
+  }
+  items.forEach(assertRegistered);
 
-function authorize(capabilityName) {
   return async (req, res, next) => {
     try {
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.userId },
-        include: {
-          role: {
-            include: { roleCapabilities: { include: { capability: true } } }
-          }
-        }
-      });
+      const user = await getUserAccess(req.user.userId);
 
       if (!user) return res.status(401).json({ message: 'User not found' });
 
-      const userCapabilities = user.role.roleCapabilities.map(
-        rc => rc.capability.name
-      );
+      // Handlers can read the resolved user and role instead of querying them again
+      req.currentUser = user;
+
+      const has = name => hasCapability(req, name);
+
+      const missing = [];
+      let satisfied = mode === 'allOf';
 
-      if (!userCapabilities.includes(capabilityName)) {
-        return res
-          .status(403)
-          .json({ message: `Access denied: missing ${capabilityName}` });
+      for (const item of items) {
+        if (item.startsWith(CATEGORY_PREFIX)) {
+          const names = [...await getCategoryCapabilities(item.slice(CATEGORY_PREFIX.length))];
+          // An empty or unknown category can never be satisfied
+          const missingNames = names.length === 0 ? [item] : names.filter(name => !has(name));
+          if (mode === 'allOf') {
+            missing.push(...missingNames);
+          } else if (missingNames.length < names.length) {
+            satisfied = true;
+          }
+        } else if (!has(item)) {
+          missing.push(item);
+        } else if (mode === 'anyOf') {
+          satisfied = true;
+        }
+      }
+
+      if (mode === 'allOf') satisfied = missing.length === 0;
+
+      if (!satisfied) {
+        const message = mode === 'allOf'
+          ? `Access denied: missing ${missing.join(', ')}`
+          : `Access denied: requires one of ${items.join(', ')}`;
+        return res.status(403).json({ message, missing: mode === 'allOf' ? missing : items });
       }
 
       next();
@@ -33,4 +96,9 @@ function authorize(capabilityName) {
   };
 }
 
+authorize.anyOf = (...capabilities) => authorize({ anyOf: capabilities });
+authorize.allOf = (...capabilities) => authorize({ allOf: capabilities });
+authorize.hasCapability = hasCapability;
+authorize.requiredCapabilities = requiredCapabilities;
+
 module.exports = authorize;
@@ -0,0 +1,106 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const { canAccessCourse } = require('../utils/coursePolicy');
+
+const prisma = withTenantScope(new PrismaClient());
+
+const ACTION_DENIED_MESSAGES = {
+  manage: 'Access denied: You can only manage courses you own or co-own',
+  administer: 'Access denied: Only the course owner can do this',
+  grade: 'Access denied: You are not an instructor of this course'
+};
+
+/**
+ * Route guard applying a course ownership policy (see utils/coursePolicy).
+ * Must run after authorize(). `resolver` maps the request to the id of the
+ * course it targets; a null id means the target resource does not exist.
+ */
+function requireCourseAccess(action, resolver) {
+  return async (req, res, next) => {
+    try {
+      const courseId = await resolver(req);
+      const allowed = courseId == null ? undefined : await canAccessCourse(req, action, courseId);
+
+      if (allowed === undefined) {
+        return res.status(404).json({ success: false, message: `${resolver.resource} not found` });
+      }
+      if (!allowed) {
+        return res.status(403).json({ success: false, message: ACTION_DENIED_MESSAGES[action] });
+      }
+
+      req.courseId = courseId;
+      next();
+    } catch (err) {
+      console.error('Course access check error:', err);
+      res.status(500).json({ success: false, message: 'Authorization failed' });
+    }
+  };
+}
+
+// ===== COURSE RESOLVERS =====
+
+function resolver(resource, fn) {
+  fn.resource = resource;
+  return fn;
+}
+
+function toId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+const courseFromParam = (param = 'id') =>
+  resolver('Course', req => toId(req.params[param]));
+
+const courseFromBody = (field = 'courseId') =>
+  resolver('Course', req => toId(req.body[field]));
+
+const courseOfModule = (param = 'moduleId') => resolver('Module', async req => {
+  const id = toId(req.params[param]);
+  const module = id && await prisma.module.findUnique({ where: { id }, select: { courseId: true } });
+  return module ? module.courseId : null;
+});
+
+const courseOfAssessment = (param = 'id') => resolver('Assessment', async req => {
+  const id = toId(req.params[param]);
+  const assessment = id && await prisma.assessment.findUnique({ where: { id }, select: { courseId: true } });
+  return assessment ? assessment.courseId : null;
+});
+
+const courseOfQuestion = (param = 'id') => resolver('Question', async req => {
+  const id = toId(req.params[param]);
+  const question = id && await prisma.question.findUnique({
+    where: { id },
+    select: { assessment: { select: { courseId: true } } }
+  });
+  return question ? question.assessment.courseId : null;
+});
+
+const courseOfSubmission = (param = 'id') => resolver('Submission', async req => {
+  const id = toId(req.params[param]);
+  const submission = id && await prisma.assessmentSubmission.findUnique({
+    where: { id },
+    select: { assessment: { select: { courseId: true } } }
+  });
+  return submission ? submission.assessment.courseId : null;
+});
+
+const courseOfAnswer = (param = 'id') => resolver('Answer', async req => {
+  const id = toId(req.params[param]);
+  const answer = id && await prisma.submissionAnswer.findUnique({
+    where: { id },
+    select: { submission: { select: { assessment: { select: { courseId: true } } } } }
+  });
+  return answer ? answer.submission.assessment.courseId : null;
+});
+
+module.exports = {
+  requireCourseAccess,
+  courseFromParam,
+  courseFromBody,
+  courseOfModule,
+  courseOfAssessment,
+  courseOfQuestion,
+  courseOfSubmission,
+  courseOfAnswer
+};
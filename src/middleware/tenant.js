@@ -0,0 +1,18 @@
+const { DEFAULT_ORGANIZATION_ID } = require('../utils/tenant');
+
+/**
+ * Guard for data shared by every tenant (settings, the capability catalog,
+ * organizations themselves): only users of the default organization may change it.
+ * Use after authenticateToken.
+ */
+function requirePlatformOrganization(req, res, next) {
+  if (req.user.org !== DEFAULT_ORGANIZATION_ID) {
+    return res.status(403).json({
+      code: 'PLATFORM_ONLY',
+      message: 'Only the platform organization can perform this action'
+    });
+  }
+  next();
+}
+
+module.exports = { requirePlatformOrganization };
@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
 const authenticateToken = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { canAccessCourse } = require('../utils/coursePolicy');
+const {
+  QUESTION_FILES,
+  REDIRECT_URL_TTL_SECONDS,
+  questionFileUrl,
+  signedQuestionFileUrls
+} = require('../utils/questionFiles');
 
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 
 // ============================================
 // STUDENT ENDPOINTS
@@ -14,7 +23,7 @@ const prisma = new PrismaClient();
  * GET /api/assessments/student/my-assessments
  * Get all assessments from enrolled courses
  */
-router.get('/student/my-assessments', authenticateToken, authorize('view_all_enrolled_assessment'), async (req, res) => {
+router.get('/student/my-assessments', authenticateToken, authorize(CAP.VIEW_ALL_ENROLLED_ASSESSMENT), async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -119,7 +128,7 @@ router.get('/student/my-assessments', authenticateToken, authorize('view_all_enr
  * GET /api/assessments/student/assessments/:id/details
  * Get assessment details before starting
  */
-router.get('/student/assessments/:id/details', authenticateToken, authorize('view_enrolled_assessment_by_id'), async (req, res) => {
+router.get('/student/assessments/:id/details', authenticateToken, authorize(CAP.VIEW_ENROLLED_ASSESSMENT_BY_ID), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
@@ -206,7 +215,7 @@ router.get('/student/assessments/:id/details', authenticateToken, authorize('vie
  * POST /api/assessments/student/assessments/:id/start
  * Start taking an assessment
  */
-router.post('/student/assessments/:id/start', authenticateToken, authorize('start_taking_assessment'), async (req, res) => {
+router.post('/student/assessments/:id/start', authenticateToken, authorize(CAP.START_TAKING_ASSESSMENT), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
@@ -321,19 +330,19 @@ router.post('/student/assessments/:id/start', authenticateToken, authorize('star
     }
 
     // Format questions (hide correct answers)
-    const formattedQuestions = questions.map(q => ({
+    const formattedQuestions = await Promise.all(questions.map(async q => ({
       id: q.id,
       questionText: q.questionText,
       questionType: q.questionType,
       marks: q.marks,
-      imageUrl: q.imageUrl,
+      ...await signedQuestionFileUrls(q),
       options: (q.options || []) 
         .sort((a, b) => a.order - b.order)
         .map(opt => ({
           id: opt.id,
           optionText: opt.optionText
         }))
-    }));
+    })));
 
     res.json({
       success: true,
@@ -365,7 +374,7 @@ router.post('/student/assessments/:id/start', authenticateToken, authorize('star
  * POST /api/assessments/student/save-answer
  * Save/update answer for a question
  */
-router.post('/student/save-answer', authenticateToken, authorize('save_answer'), async (req, res) => {
+router.post('/student/save-answer', authenticateToken, authorize(CAP.SAVE_ANSWER), async (req, res) => {
   try {
     const { submissionId, questionId, selectedOptionId, textAnswer, timeSpent } = req.body;
     const userId = req.user.userId;
@@ -458,7 +467,7 @@ router.post('/student/save-answer', authenticateToken, authorize('save_answer'),
  * POST /api/assessments/student/assessments/:id/submit
  * Final submission of assessment
  */
-router.post('/student/assessments/:id/submit', authenticateToken, authorize('submit_assessment'), async (req, res) => {
+router.post('/student/assessments/:id/submit', authenticateToken, authorize(CAP.SUBMIT_ASSESSMENT), async (req, res) => {
   try {
     const { id } = req.params;
     const { submissionId } = req.body;
@@ -569,7 +578,7 @@ router.post('/student/assessments/:id/submit', authenticateToken, authorize('sub
  * Get all results for the logged-in student
  * MODIFIED: Shows pending message if not checked by teacher
  */
-router.get('/student/my-results', authenticateToken, authorize('get_user_result'), async (req, res) => {
+router.get('/student/my-results', authenticateToken, authorize(CAP.GET_USER_RESULT), async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -658,7 +667,7 @@ router.get('/student/my-results', authenticateToken, authorize('get_user_result'
  * Review a specific submission with detailed answers
  * MODIFIED: Now checks isCheckedByTeacher instead of allowReview
  */
-router.get('/student/submissions/:id/review', authenticateToken, authorize('review_submission'), async (req, res) => {
+router.get('/student/submissions/:id/review', authenticateToken, authorize(CAP.REVIEW_SUBMISSION), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
@@ -713,9 +722,10 @@ router.get('/student/submissions/:id/review', authenticateToken, authorize('revi
       });
     }
 
-    const detailedAnswers = submission.answers.map(answer => ({
+    const detailedAnswers = await Promise.all(submission.answers.map(async answer => ({
       questionText: answer.question.questionText,
       questionType: answer.question.questionType,
+      ...await signedQuestionFileUrls(answer.question),
       marks: answer.question.marks,
       marksObtained: answer.marksObtained,
       isCorrect: answer.isCorrect,
@@ -727,7 +737,7 @@ router.get('/student/submissions/:id/review', authenticateToken, authorize('revi
         isCorrect: opt.isCorrect,
         wasSelected: opt.id === answer.selectedOptionId
       }))
-    }));
+    })));
 
     res.json({
       success: true,
@@ -761,7 +771,7 @@ router.get('/student/submissions/:id/review', authenticateToken, authorize('revi
  * GET /api/assessments/student/courses/:courseId/progress
  * Get assessment progress for a specific course
  */
-router.get('/student/courses/:courseId/progress', authenticateToken, authorize('view_assessment_progress'), async (req, res) => {
+router.get('/student/courses/:courseId/progress', authenticateToken, authorize(CAP.VIEW_ASSESSMENT_PROGRESS), async (req, res) => {
   try {
     const { courseId } = req.params;
     const userId = req.user.userId;
@@ -843,4 +853,71 @@ router.get('/student/courses/:courseId/progress', authenticateToken, authorize('
   }
 });
 
+/**
+ * GET /api/assessments/questions/:id/image
+ * GET /api/assessments/questions/:id/attachment
+ * Download a question's uploaded file. Trainees must be enrolled in the course
+ * and have started the assessment; the course's instructors (or holders of the
+ * any-course capabilities) may always fetch it. Once access is checked the
+ * client is redirected to a short-lived signed URL.
+ */
+router.get('/questions/:id/:kind', authenticateToken, authorize.anyOf(
+  CAP.START_TAKING_ASSESSMENT,
+  CAP.REVIEW_SUBMISSION,
+  CAP.VIEW_ASSESSMENT_BY_ID,
+  CAP.UPDATE_QUESTION,
+  CAP.VIEW_SUBMISSION_DETAILS
+), async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id, 10);
+    const questionFile = QUESTION_FILES[req.params.kind];
+    if (isNaN(questionId) || !questionFile) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    const userId = req.user.userId;
+
+    const question = await prisma.question.findUnique({
+      where: { id: questionId },
+      select: {
+        [questionFile.field]: true,
+        assessmentId: true,
+        assessment: { select: { courseId: true } }
+      }
+    });
+    if (!question || !question[questionFile.field]) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    const courseId = question.assessment.courseId;
+    const [enrollment, submission] = await Promise.all([
+      prisma.enrollment.findFirst({ where: { userId, courseId }, select: { id: true } }),
+      prisma.assessmentSubmission.findFirst({ where: { userId, assessmentId: question.assessmentId }, select: { id: true } })
+    ]);
+    if (!(enrollment && submission) && !(await canAccessCourse(req, 'grade', courseId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this file'
+      });
+    }
+
+    const url = await questionFileUrl(req.params.kind, question[questionFile.field], {
+      expiresIn: REDIRECT_URL_TTL_SECONDS
+    });
+    if (!url) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    // The signed URL is only valid briefly, so the redirect must not be cached
+    res.set('Cache-Control', 'private, no-store');
+    res.redirect(url);
+  } catch (error) {
+    console.error('Error fetching question file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching question file',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,60 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
 const authenticateToken = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
-
-const prisma = new PrismaClient();
+const { CAP } = require('../utils/capabilities');
+const {
+  requireCourseAccess,
+  courseFromParam,
+  courseOfAssessment,
+  courseOfQuestion,
+  courseOfSubmission,
+  courseOfAnswer
+} = require('../middleware/courseAccess');
+const { canAccessCourse, accessibleCoursesWhere } = require('../utils/coursePolicy');
+const { recordAudit } = require('../utils/audit');
+const {
+  QUESTION_FILES,
+  storeQuestionFile,
+  releaseQuestionFiles,
+  questionFileValues,
+  signedQuestionFileUrls,
+  isQuestionFileUrl,
+  linkedFileError
+} = require('../utils/questionFiles');
+
+// Assessment fields captured in audit log snapshots (questions are audited separately)
+function assessmentAuditSnapshot(assessment) {
+  if (!assessment) return null;
+  const { questions, course, submissions, _count, ...fields } = assessment;
+  return fields;
+}
+
+const prisma = withTenantScope(new PrismaClient());
+
+// One uploader per question file kind, since each has its own size limit
+const questionFileUploads = Object.fromEntries(Object.entries(QUESTION_FILES).map(([kind, { maxSize }]) => [
+  kind,
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: maxSize } }).single('file')
+]));
+
+// Report upload problems (too large, malformed) as 400 instead of falling through to the error handler
+function uploadQuestionFile(req, res, next) {
+  const upload = questionFileUploads[req.params.kind];
+  if (!upload) return res.status(404).json({ success: false, message: 'Unknown question file' });
+  upload(req, res, err => {
+    if (err) return res.status(400).json({ success: false, message: err.message });
+    next();
+  });
+}
+
+// Question as returned to instructors, whose course access was checked: stored files are swapped for signed URLs
+async function questionPayload(question) {
+  return { ...question, ...await signedQuestionFileUrls(question) };
+}
 
 // ============================================
 // ADMIN/INSTRUCTOR ENDPOINTS
@@ -15,7 +65,7 @@ const prisma = new PrismaClient();
  * Create new assessment with questions
  * MODIFIED: Removed showResults and allowReview fields
  */
-router.post('/admin/assessments', authenticateToken, authorize('create_assessments'), async (req, res) => {
+router.post('/admin/assessments', authenticateToken, authorize(CAP.CREATE_ASSESSMENTS), async (req, res) => {
   try {
     const {
       title,
@@ -39,6 +89,22 @@ router.post('/admin/assessments', authenticateToken, authorize('create_assessmen
       });
     }
 
+    const imageError = (questions || []).map(q => linkedFileError('imageUrl', q.imageUrl)).find(Boolean);
+    if (imageError) {
+      return res.status(400).json({ success: false, message: imageError });
+    }
+
+    const allowed = await canAccessCourse(req, 'manage', parseInt(courseId));
+    if (allowed === undefined) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only manage courses you own or co-own'
+      });
+    }
+
     const assessment = await prisma.assessment.create({
       data: {
         title,
@@ -84,6 +150,13 @@ router.post('/admin/assessments', authenticateToken, authorize('create_assessmen
       }
     });
 
+    await recordAudit(req, {
+      action: 'assessment.create',
+      entityType: 'Assessment',
+      entityId: assessment.id,
+      after: { ...assessmentAuditSnapshot(assessment), questionCount: assessment.questions.length }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Assessment created successfully',
@@ -103,11 +176,14 @@ router.post('/admin/assessments', authenticateToken, authorize('create_assessmen
  * GET /api/assessments/admin/assessments
  * Get all assessments (with filters)
  */
-router.get('/admin/assessments', authenticateToken, authorize('view_assessments'), async (req, res) => {
+router.get('/admin/assessments', authenticateToken, authorize(CAP.VIEW_ASSESSMENTS), async (req, res) => {
   try {
     const { courseId, status, search } = req.query;
 
     const where = {};
+    // Only list assessments of courses the user teaches, unless they may see every course
+    const courseWhere = accessibleCoursesWhere(req, 'grade');
+    if (courseWhere) where.course = courseWhere;
     if (courseId) where.courseId = parseInt(courseId);
     if (status === 'active') where.isActive = true;
     if (status === 'inactive') where.isActive = false;
@@ -214,7 +290,7 @@ router.get('/admin/assessments', authenticateToken, authorize('view_assessments'
  * GET /api/assessments/admin/assessments/:id
  * Get single assessment details
  */
-router.get('/admin/assessments/:id', authenticateToken, authorize('view_assessment_by_id'), async (req, res) => {
+router.get('/admin/assessments/:id', authenticateToken, authorize(CAP.VIEW_ASSESSMENT_BY_ID), requireCourseAccess('grade', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -256,7 +332,7 @@ router.get('/admin/assessments/:id', authenticateToken, authorize('view_assessme
 
     res.json({
       success: true,
-      data: assessment
+      data: { ...assessment, questions: await Promise.all(assessment.questions.map(questionPayload)) }
     });
   } catch (error) {
     console.error('Error fetching assessment:', error);
@@ -273,7 +349,7 @@ router.get('/admin/assessments/:id', authenticateToken, authorize('view_assessme
  * Update assessment
  * MODIFIED: Removed showResults and allowReview fields
  */
-router.put('/admin/assessments/:id', authenticateToken, authorize('update_assessments'), async (req, res) => {
+router.put('/admin/assessments/:id', authenticateToken, authorize(CAP.UPDATE_ASSESSMENTS), requireCourseAccess('manage', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -290,6 +366,19 @@ router.put('/admin/assessments/:id', authenticateToken, authorize('update_assess
       isActive
     } = req.body;
 
+    if (courseId && parseInt(courseId) !== req.courseId) {
+      const allowed = await canAccessCourse(req, 'manage', parseInt(courseId));
+      if (!allowed) {
+        return res.status(allowed === undefined ? 404 : 403).json({
+          success: false,
+          message: allowed === undefined
+            ? 'Course not found'
+            : 'Access denied: You can only move assessments to courses you own or co-own'
+        });
+      }
+    }
+
+    const before = await prisma.assessment.findUnique({ where: { id: parseInt(id) } });
     const assessment = await prisma.assessment.update({
       where: { id: parseInt(id) },
       data: {
@@ -315,6 +404,14 @@ router.put('/admin/assessments/:id', authenticateToken, authorize('update_assess
       }
     });
 
+    await recordAudit(req, {
+      action: 'assessment.update',
+      entityType: 'Assessment',
+      entityId: assessment.id,
+      before: assessmentAuditSnapshot(before),
+      after: assessmentAuditSnapshot(assessment)
+    });
+
     res.json({
       success: true,
       message: 'Assessment updated successfully',
@@ -334,13 +431,25 @@ router.put('/admin/assessments/:id', authenticateToken, authorize('update_assess
  * DELETE /api/assessments/admin/assessments/:id
  * Delete assessment
  */
-router.delete('/admin/assessments/:id', authenticateToken, authorize('delete_assessments'), async (req, res) => {
+router.delete('/admin/assessments/:id', authenticateToken, authorize(CAP.DELETE_ASSESSMENTS), requireCourseAccess('manage', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const before = await prisma.assessment.findUnique({ where: { id: parseInt(id) } });
+    const questionFiles = await prisma.question.findMany({
+      where: { assessmentId: parseInt(id) },
+      select: { imageUrl: true, attachmentUrl: true }
+    });
     await prisma.assessment.delete({
       where: { id: parseInt(id) }
     });
+    await releaseQuestionFiles(questionFileValues(questionFiles));
+    await recordAudit(req, {
+      action: 'assessment.delete',
+      entityType: 'Assessment',
+      entityId: before.id,
+      before: assessmentAuditSnapshot(before)
+    });
 
     res.json({
       success: true,
@@ -360,7 +469,7 @@ router.delete('/admin/assessments/:id', authenticateToken, authorize('delete_ass
  * PATCH /api/assessments/admin/assessments/:id/toggle-status
  * Toggle assessment active status
  */
-router.patch('/admin/assessments/:id/toggle-status', authenticateToken, authorize('toggle_assessment_status'), async (req, res) => {
+router.patch('/admin/assessments/:id/toggle-status', authenticateToken, authorize(CAP.TOGGLE_ASSESSMENT_STATUS), requireCourseAccess('manage', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -382,6 +491,14 @@ router.patch('/admin/assessments/:id/toggle-status', authenticateToken, authoriz
       }
     });
 
+    await recordAudit(req, {
+      action: 'assessment.toggle_status',
+      entityType: 'Assessment',
+      entityId: updated.id,
+      before: { isActive: assessment.isActive },
+      after: { isActive: updated.isActive }
+    });
+
     res.json({
       success: true,
       message: `Assessment ${updated.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -402,7 +519,7 @@ router.patch('/admin/assessments/:id/toggle-status', authenticateToken, authoriz
  * Duplicate an assessment
  * MODIFIED: Removed showResults and allowReview fields
  */
-router.post('/admin/assessments/:id/duplicate', authenticateToken, authorize('duplicate_assessment'), async (req, res) => {
+router.post('/admin/assessments/:id/duplicate', authenticateToken, authorize(CAP.DUPLICATE_ASSESSMENT), requireCourseAccess('manage', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -443,6 +560,7 @@ router.post('/admin/assessments/:id/duplicate', authenticateToken, authorize('du
             order: q.order,
             explanation: q.explanation,
             imageUrl: q.imageUrl,
+            attachmentUrl: q.attachmentUrl,
             options: {
               create: q.options.map(opt => ({
                 optionText: opt.optionText,
@@ -462,6 +580,13 @@ router.post('/admin/assessments/:id/duplicate', authenticateToken, authorize('du
       }
     });
 
+    await recordAudit(req, {
+      action: 'assessment.duplicate',
+      entityType: 'Assessment',
+      entityId: duplicate.id,
+      after: { ...assessmentAuditSnapshot(duplicate), duplicatedFromId: original.id }
+    });
+
     res.json({
       success: true,
       message: 'Assessment duplicated successfully',
@@ -485,11 +610,16 @@ router.post('/admin/assessments/:id/duplicate', authenticateToken, authorize('du
  * POST /api/assessments/admin/assessments/:id/questions
  * Add question to assessment
  */
-router.post('/admin/assessments/:id/questions', authenticateToken, authorize('add_question_to_assessment'), async (req, res) => {
+router.post('/admin/assessments/:id/questions', authenticateToken, authorize(CAP.ADD_QUESTION_TO_ASSESSMENT), requireCourseAccess('manage', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
     const { questionText, questionType, marks, explanation, imageUrl, options } = req.body;
 
+    const imageError = linkedFileError('imageUrl', imageUrl);
+    if (imageError) {
+      return res.status(400).json({ success: false, message: imageError });
+    }
+
     // Get current question count for order
     const questionCount = await prisma.question.count({
       where: { assessmentId: parseInt(id) }
@@ -517,10 +647,12 @@ router.post('/admin/assessments/:id/questions', authenticateToken, authorize('ad
       }
     });
 
+    await recordAudit(req, { action: 'question.create', entityType: 'Question', entityId: question.id, after: question });
+
     res.status(201).json({
       success: true,
       message: 'Question added successfully',
-      data: question
+      data: await questionPayload(question)
     });
   } catch (error) {
     console.error('Error adding question:', error);
@@ -536,20 +668,36 @@ router.post('/admin/assessments/:id/questions', authenticateToken, authorize('ad
  * PUT /api/assessments/admin/questions/:id
  * Update question
  */
-router.put('/admin/questions/:id', authenticateToken, authorize('update_question'), async (req, res) => {
+router.put('/admin/questions/:id', authenticateToken, authorize(CAP.UPDATE_QUESTION), requireCourseAccess('manage', courseOfQuestion()), async (req, res) => {
   try {
     const { id } = req.params;
     const { questionText, questionType, marks, explanation, imageUrl, isActive, options } = req.body;
 
+    const before = await prisma.question.findUnique({
+      where: { id: parseInt(id) },
+      include: { options: { orderBy: { order: 'asc' } } }
+    });
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    // Clients may send back the URL they were given for an uploaded image; that keeps it
+    const imageChanged = imageUrl !== undefined && imageUrl !== before.imageUrl &&
+      !isQuestionFileUrl(before, 'image', imageUrl);
+    const imageError = imageChanged && linkedFileError('imageUrl', imageUrl);
+    if (imageError) {
+      return res.status(400).json({ success: false, message: imageError });
+    }
+
     // Update question
-    const question = await prisma.question.update({
+    await prisma.question.update({
       where: { id: parseInt(id) },
       data: {
         ...(questionText && { questionText }),
         ...(questionType && { questionType }),
         ...(marks !== undefined && { marks }),
         ...(explanation !== undefined && { explanation }),
-        ...(imageUrl !== undefined && { imageUrl }),
+        ...(imageChanged && { imageUrl: imageUrl || null }),
         ...(isActive !== undefined && { isActive })
       }
     });
@@ -582,10 +730,20 @@ router.put('/admin/questions/:id', authenticateToken, authorize('update_question
       }
     });
 
+    if (imageChanged) await releaseQuestionFiles([before.imageUrl]);
+
+    await recordAudit(req, {
+      action: 'question.update',
+      entityType: 'Question',
+      entityId: updatedQuestion.id,
+      before,
+      after: updatedQuestion
+    });
+
     res.json({
       success: true,
       message: 'Question updated successfully',
-      data: updatedQuestion
+      data: await questionPayload(updatedQuestion)
     });
   } catch (error) {
     console.error('Error updating question:', error);
@@ -601,13 +759,22 @@ router.put('/admin/questions/:id', authenticateToken, authorize('update_question
  * DELETE /api/assessments/admin/questions/:id
  * Delete question
  */
-router.delete('/admin/questions/:id', authenticateToken, authorize('delete_question'), async (req, res) => {
+router.delete('/admin/questions/:id', authenticateToken, authorize(CAP.DELETE_QUESTION), requireCourseAccess('manage', courseOfQuestion()), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const before = await prisma.question.findUnique({
+      where: { id: parseInt(id) },
+      include: { options: true }
+    });
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
     await prisma.question.delete({
       where: { id: parseInt(id) }
     });
+    await releaseQuestionFiles(questionFileValues([before]));
+    await recordAudit(req, { action: 'question.delete', entityType: 'Question', entityId: before.id, before });
 
     res.json({
       success: true,
@@ -623,6 +790,109 @@ router.delete('/admin/questions/:id', authenticateToken, authorize('delete_quest
   }
 });
 
+/**
+ * POST /api/assessments/admin/questions/:id/image
+ * POST /api/assessments/admin/questions/:id/attachment
+ * Upload a question's image (JPEG, PNG, GIF or WebP, up to 5MB) or attachment
+ * (up to 20MB), multipart field `file`. Replaces and cleans up the previous file.
+ */
+router.post('/admin/questions/:id/:kind', authenticateToken, authorize(CAP.UPDATE_QUESTION), requireCourseAccess('manage', courseOfQuestion()), uploadQuestionFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded' });
+  }
+  const questionId = parseInt(req.params.id, 10);
+  const { field } = QUESTION_FILES[req.params.kind];
+
+  let stored;
+  try {
+    const before = await prisma.question.findUnique({ where: { id: questionId } });
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    stored = await storeQuestionFile(questionId, req.params.kind, req.file);
+    if (stored.error) {
+      return res.status(400).json({ success: false, message: stored.error });
+    }
+
+    const question = await prisma.question.update({
+      where: { id: questionId },
+      data: { [field]: stored.value }
+    });
+    await releaseQuestionFiles([before[field]]);
+    await recordAudit(req, {
+      action: `question.${req.params.kind}_upload`,
+      entityType: 'Question',
+      entityId: questionId,
+      before: { [field]: before[field] },
+      after: { [field]: question[field] }
+    });
+
+    res.json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: await questionPayload(question)
+    });
+  } catch (error) {
+    console.error('Error uploading question file:', error);
+    if (stored && stored.value) await releaseQuestionFiles([stored.value]).catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading question file',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/assessments/admin/questions/:id/image
+ * DELETE /api/assessments/admin/questions/:id/attachment
+ * Remove a question's image or attachment
+ */
+router.delete('/admin/questions/:id/:kind', authenticateToken, authorize(CAP.UPDATE_QUESTION), requireCourseAccess('manage', courseOfQuestion()), async (req, res) => {
+  const questionFile = QUESTION_FILES[req.params.kind];
+  if (!questionFile) {
+    return res.status(404).json({ success: false, message: 'Unknown question file' });
+  }
+  const questionId = parseInt(req.params.id, 10);
+  const { field } = questionFile;
+
+  try {
+    const before = await prisma.question.findUnique({ where: { id: questionId } });
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (!before[field]) {
+      return res.status(404).json({ success: false, message: 'Question has no file to remove' });
+    }
+
+    const question = await prisma.question.update({
+      where: { id: questionId },
+      data: { [field]: null }
+    });
+    await releaseQuestionFiles([before[field]]);
+    await recordAudit(req, {
+      action: `question.${req.params.kind}_delete`,
+      entityType: 'Question',
+      entityId: questionId,
+      before: { [field]: before[field] }
+    });
+
+    res.json({
+      success: true,
+      message: 'File removed successfully',
+      data: await questionPayload(question)
+    });
+  } catch (error) {
+    console.error('Error removing question file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing question file',
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // SUBMISSION GRADING & REVIEW (NEW/MODIFIED)
 // ============================================
@@ -632,13 +902,17 @@ router.delete('/admin/questions/:id', authenticateToken, authorize('delete_quest
  * Get pending manual grading queue
  * MODIFIED: Now groups by submission to show overall status
  */
-router.get('/admin/pending-grading', authenticateToken, authorize('pending_grading'), async (req, res) => {
+router.get('/admin/pending-grading', authenticateToken, authorize(CAP.PENDING_GRADING), async (req, res) => {
   try {
+    // Only queue submissions of courses the user teaches, unless they may grade every course
+    const courseWhere = accessibleCoursesWhere(req, 'grade');
+
     // Get submissions with pending manual grading
     const pendingSubmissions = await prisma.assessmentSubmission.findMany({
       where: {
         status: 'COMPLETED',
-        isCheckedByTeacher: false
+        isCheckedByTeacher: false,
+        ...(courseWhere && { assessment: { course: courseWhere } })
       },
       include: {
         user: {
@@ -725,7 +999,7 @@ router.get('/admin/pending-grading', authenticateToken, authorize('pending_gradi
  * GET /api/assessments/admin/submissions/:id/details
  * Get detailed submission for grading (NEW ENDPOINT)
  */
-router.get('/admin/submissions/:id/details', authenticateToken, authorize('view_submission_details'), async (req, res) => {
+router.get('/admin/submissions/:id/details', authenticateToken, authorize(CAP.VIEW_SUBMISSION_DETAILS), requireCourseAccess('grade', courseOfSubmission()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -838,7 +1112,7 @@ router.get('/admin/submissions/:id/details', authenticateToken, authorize('view_
  * POST /api/assessments/admin/submissions/:id/grade
  * Grade a manual submission answer
  */
-router.post('/admin/submissions/:id/grade', authenticateToken, authorize('give_grade_to_questions'), async (req, res) => {
+router.post('/admin/submissions/:id/grade', authenticateToken, authorize(CAP.GIVE_GRADE_TO_QUESTIONS), requireCourseAccess('grade', courseOfAnswer()), async (req, res) => {
   try {
     const { id } = req.params;
     const { marksObtained } = req.body;
@@ -909,6 +1183,28 @@ router.post('/admin/submissions/:id/grade', authenticateToken, authorize('give_g
       }
     });
 
+    await recordAudit(req, {
+      action: 'submission.grade',
+      entityType: 'SubmissionAnswer',
+      entityId: answer.id,
+      before: {
+        submissionId: answer.submissionId,
+        marksObtained: answer.marksObtained,
+        isCorrect: answer.isCorrect,
+        submissionObtainedMarks: answer.submission.obtainedMarks,
+        submissionPercentage: answer.submission.percentage,
+        submissionIsPassed: answer.submission.isPassed
+      },
+      after: {
+        submissionId: answer.submissionId,
+        marksObtained,
+        isCorrect: marksObtained === answer.question.marks,
+        submissionObtainedMarks: updatedSubmission.obtainedMarks,
+        submissionPercentage: updatedSubmission.percentage,
+        submissionIsPassed: updatedSubmission.isPassed
+      }
+    });
+
     res.json({
       success: true,
       message: 'Answer graded successfully',
@@ -935,7 +1231,7 @@ router.post('/admin/submissions/:id/grade', authenticateToken, authorize('give_g
  * POST /api/assessments/admin/submissions/:id/approve-review
  * Approve submission for student review after grading (NEW ENDPOINT)
  */
-router.post('/admin/submissions/:id/approve-review', authenticateToken, authorize('approve_submission_review'), async (req, res) => {
+router.post('/admin/submissions/:id/approve-review', authenticateToken, authorize(CAP.APPROVE_SUBMISSION_REVIEW), requireCourseAccess('grade', courseOfSubmission()), async (req, res) => {
   try {
     const { id } = req.params;
     const teacherId = req.user.userId;
@@ -999,6 +1295,14 @@ router.post('/admin/submissions/:id/approve-review', authenticateToken, authoriz
       }
     });
 
+    await recordAudit(req, {
+      action: 'submission.approve_review',
+      entityType: 'AssessmentSubmission',
+      entityId: updatedSubmission.id,
+      before: { isCheckedByTeacher: submission.isCheckedByTeacher, checkedBy: submission.checkedBy },
+      after: { isCheckedByTeacher: true, checkedBy: teacherId }
+    });
+
     res.json({
       success: true,
       message: 'Submission approved for student review',
@@ -1031,7 +1335,7 @@ router.post('/admin/submissions/:id/approve-review', authenticateToken, authoriz
  * Get detailed analytics for an assessment
  * MODIFIED: Updated to include teacher review status
  */
-router.get('/admin/assessments/:id/analytics', authenticateToken, authorize('view_assessment_analytics'), async (req, res) => {
+router.get('/admin/assessments/:id/analytics', authenticateToken, authorize(CAP.VIEW_ASSESSMENT_ANALYTICS), requireCourseAccess('grade', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1163,7 +1467,7 @@ router.get('/admin/assessments/:id/analytics', authenticateToken, authorize('vie
  * Get all submissions for an assessment
  * MODIFIED: Added teacher review status
  */
-router.get('/admin/assessments/:id/submissions', authenticateToken, authorize('view_assessments_submissions'), async (req, res) => {
+router.get('/admin/assessments/:id/submissions', authenticateToken, authorize(CAP.VIEW_ASSESSMENTS_SUBMISSIONS), requireCourseAccess('grade', courseOfAssessment()), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1240,7 +1544,7 @@ router.get('/admin/assessments/:id/submissions', authenticateToken, authorize('v
  * GET /api/assessments/admin/courses/:courseId/analytics
  * Get course-level assessment analytics
  */
-router.get('/admin/courses/:courseId/analytics', authenticateToken, authorize('view_assessment_analytics_courselevel'), async (req, res) => {
+router.get('/admin/courses/:courseId/analytics', authenticateToken, authorize(CAP.VIEW_ASSESSMENT_ANALYTICS_COURSELEVEL), requireCourseAccess('grade', courseFromParam('courseId')), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -0,0 +1,66 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+/**
+ * Search the audit log: GET /api/audit-logs
+ * Filters: actorId, action (exact, or a prefix ending in `*` such as `user.*`),
+ * entityType, entityId, from / to (ISO dates). Paginated with page / limit.
+ */
+router.get('/',
+  authenticateToken,
+  authorize(CAP.VIEW_AUDIT_LOGS),
+  async (req, res) => {
+    const { actorId, action, entityType, entityId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const where = {};
+    if (actorId) {
+      const id = parseInt(actorId, 10);
+      if (isNaN(id)) return res.status(400).json({ message: 'Invalid actorId' });
+      where.actorId = id;
+    }
+    if (action) {
+      where.action = action.endsWith('*') ? { startsWith: action.slice(0, -1) } : action;
+    }
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = String(entityId);
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: '`from` and `to` must be valid dates' });
+      }
+      where.createdAt = {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate })
+      };
+    }
+
+    try {
+      const [total, logs] = await Promise.all([
+        prisma.auditLog.count({ where }),
+        prisma.auditLog.findMany({
+          where,
+          include: { actor: { select: { id: true, email: true, fullName: true } } },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        })
+      ]);
+      res.json({ total, page, limit, data: logs });
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      res.status(500).json({ message: 'Error fetching audit logs' });
+    }
+  }
+);
+
+module.exports = router;
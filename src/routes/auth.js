@@ -1,32 +1,160 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope, DEFAULT_ORGANIZATION_ID } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/session');
+const { issueUserToken, findUserToken, consumeUserToken } = require('../utils/userToken');
+const { sendMail } = require('../utils/mailer');
+const { getSetting } = require('../utils/settings');
+const { recordAudit } = require('../utils/audit');
+const {
+  recordLoginAttempt,
+  isIpThrottled,
+  isLocked,
+  registerFailedLogin,
+  clearLockout
+} = require('../utils/loginProtection');
+const { consumeTotp, consumeRecoveryCode } = require('../utils/twoFactor');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  passwordPolicyError,
+  recordPasswordHistory,
+  setPassword
+} = require('../utils/passwordPolicy');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+async function sendVerificationEmail(user) {
+  const ttlMinutes = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60;
+  const token = await issueUserToken(user.id, 'EMAIL_VERIFICATION', ttlMinutes);
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email address to activate your account:\n\n` +
+      `${appUrl}/verify-email?token=${token}`
+  });
+}
+
+// Why an account that proved its password may not log in, or null when it may.
+// `user` needs its organization's isActive loaded.
+function loginDenial(user) {
+  if (user.isServiceAccount) {
+    return { code: 'SERVICE_ACCOUNT', message: 'Service accounts must authenticate with an API key.' };
+  }
+  if (!user.isActive) {
+    return { code: 'ACCOUNT_DEACTIVATED', message: 'Your account has been deactivated.' };
+  }
+  if (!user.organization.isActive) {
+    return { code: 'ORGANIZATION_SUSPENDED', message: 'Your organization has been suspended.' };
+  }
+  if (!user.emailVerified) {
+    return { code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email address before logging in.' };
+  }
+  if (user.approvalStatus === 'PENDING') {
+    return { code: 'ACCOUNT_PENDING_APPROVAL', message: 'Your account is awaiting administrator approval.' };
+  }
+  if (user.approvalStatus === 'REJECTED') {
+    return { code: 'ACCOUNT_REJECTED', message: 'Your registration was not approved.' };
+  }
+  return null;
+}
+
+// Final step of every successful login: reset lockout state, log it, open a session
+async function completeLogin(req, res, user) {
+  // An admin-forced password change has to happen before any session is issued
+  if (user.mustChangePassword) {
+    return res.status(403).json({
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'You must change your password before continuing.',
+      // Bound to the current password so the token stops working once it is changed
+      passwordChangeToken: signChallengeToken(user.id, 'password_change', {
+        passwordChangedAt: user.passwordChangedAt ? user.passwordChangedAt.getTime() : null
+      })
+    });
+  }
+
+  if (user.failedLoginCount > 0 || user.lockoutCount > 0) {
+    await clearLockout(user.id);
+  }
+  await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true });
+
+  // Short-lived access token plus a rotating refresh token tied to a session row
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Add user info to response
+  res.json({ 
+    message: 'Login successful.', 
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role?.name || user.roleId // if you have role.name, otherwise use roleId
+    }
+  });
+}
 
 router.post('/register', async (req, res) => {
   const { email, password } = req.body;
   try {
+    const passwordErrors = await validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
     const hashed = await bcrypt.hash(password, 10);
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
       return res.status(400).json({ message: 'Email already registered.' });
     }
-    const role = await prisma.role.findUnique({ where: { name: 'trainee' } });
+    // Self-registration always joins the default organization
+    const role = await prisma.role.findUnique({
+      where: { organizationId_name: { organizationId: DEFAULT_ORGANIZATION_ID, name: 'trainee' } }
+    });
     if (!role) {
       return res.status(500).json({ message: 'Default role not found.' });
     }
+    const requireApproval = await getSetting('registration.requireApproval');
     const user = await prisma.user.create({
       data: {
         email,
         password: hashed,
         roleId: role.id,
+        approvalStatus: requireApproval ? 'PENDING' : 'APPROVED',
+        passwordChangedAt: new Date()
       }
     });
+    await recordPasswordHistory(user.id, hashed);
+    // The account exists either way; a mail outage must not turn that into a 500
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email in /register:', error);
+      verificationEmailSent = false;
+    }
     res.status(201).json({
-      message: 'User registered successfully.',
-      user: { id: user.id, email: user.email }
+      message: verificationEmailSent
+        ? 'User registered successfully. Check your email to verify your account.'
+        : 'User registered successfully, but the verification email could not be sent. ' +
+          'Request a new one from /api/auth/resend-verification.',
+      verificationEmailSent,
+      user: {
+        id: user.id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        approvalStatus: user.approvalStatus
+      }
     });
   } catch (error) {
     console.error('Error in /register:', error);
@@ -35,44 +163,356 @@ router.post('/register', async (req, res) => {
 });
 
 
-const jwt = require('jsonwebtoken');
-
 // Login endpoint
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
   try {
+    if (await isIpThrottled(req.ip)) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'IP_THROTTLED' });
+      return res.status(429).json({
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
     const user = await prisma.user.findUnique({ 
       where: { email },
-      include: { role: true }   // ensure it fetches the role data if you have a Role model 
+      include: { role: true, organization: { select: { isActive: true } } }
     });
-    if (!user) return res.status(400).json({ message: 'Invalid email or password.' });
+    if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'UNKNOWN_EMAIL' });
+      return res.status(400).json({ message: 'Invalid email or password.' });
+    }
+
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { email, userId: user.id, success: false, reason: 'ACCOUNT_LOCKED' });
+      return res.status(423).json({
+        code: 'ACCOUNT_LOCKED',
+        message: 'Account is temporarily locked due to repeated failed logins.',
+        lockedUntil: user.lockedUntil
+      });
+    }
 
     const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) return res.status(400).json({ message: 'Invalid email or password.' });
-
-    // Add role logic. If you use roleId, include it.
-    const token = jwt.sign(
-      { userId: user.id, role: user.role?.name || user.roleId }, // adjust as needed 
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-
-    // Add user info to response
-    res.json({ 
-      message: 'Login successful.', 
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role?.name || user.roleId // if you have role.name, otherwise use roleId
+    if (!validPassword) {
+      const updated = await registerFailedLogin(user);
+      await recordLoginAttempt(req, { email, userId: user.id, success: false, reason: 'INVALID_PASSWORD' });
+      if (isLocked(updated)) {
+        return res.status(423).json({
+          code: 'ACCOUNT_LOCKED',
+          message: 'Account is temporarily locked due to repeated failed logins.',
+          lockedUntil: updated.lockedUntil
+        });
       }
-    });
+      return res.status(400).json({ message: 'Invalid email or password.' });
+    }
+
+    // Account state is only revealed once the password has been proven
+    const denial = loginDenial(user);
+    if (denial) {
+      await recordLoginAttempt(req, { email, userId: user.id, success: false, reason: denial.code });
+      return res.status(403).json(denial);
+    }
+
+    // Second factor: either prompt for a code or force enrollment per role policy
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication code required.',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user.id, 'two_factor_login')
+      });
+    }
+    if (user.role?.requireTwoFactor) {
+      return res.status(403).json({
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Your role requires two-factor authentication. Set it up to continue.',
+        setupToken: signChallengeToken(user.id, 'two_factor_setup')
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Error in /login:', error);
     res.status(500).json({ message: 'Server error during login.' });
   }
 });
 
+// Second login step for accounts with two-factor authentication enabled
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const challenge = challengeToken && verifyChallengeToken(challengeToken, 'two_factor_login');
+  if (!challenge) {
+    return res.status(401).json({ message: 'Invalid or expired two-factor challenge. Please log in again.' });
+  }
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      include: { role: true }
+    });
+    if (!user || !user.twoFactorEnabled || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or expired two-factor challenge. Please log in again.' });
+    }
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'ACCOUNT_LOCKED' });
+      return res.status(423).json({
+        code: 'ACCOUNT_LOCKED',
+        message: 'Account is temporarily locked due to repeated failed logins.',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const valid = recoveryCode
+      ? await consumeRecoveryCode(user.id, recoveryCode)
+      : await consumeTotp(user, code);
+    if (!valid) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'INVALID_TWO_FACTOR_CODE' });
+      return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid two-factor code.' });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Error in /login/2fa:', error);
+    res.status(500).json({ message: 'Server error during login.' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'refreshToken is required.' });
+  }
+  try {
+    const rotated = await rotateSession(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+    }
+    res.json({
+      message: 'Token refreshed.',
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Error in /refresh:', error);
+    res.status(500).json({ message: 'Server error during token refresh.' });
+  }
+});
+
+// Revoke the session behind the current access token
+router.post('/logout', authenticateToken, async (req, res) => {
+  // API keys are not sessions; they are revoked through the service account endpoints
+  if (!req.user.sid) {
+    return res.status(400).json({ message: 'This request is not authenticated with a session.' });
+  }
+  try {
+    await revokeSession(req.user.sid);
+    res.json({ message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error('Error in /logout:', error);
+    res.status(500).json({ message: 'Server error during logout.' });
+  }
+});
+
+// Revoke every session of the current user (all devices)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out from all sessions.', revokedSessions: count });
+  } catch (error) {
+    console.error('Error in /logout-all:', error);
+    res.status(500).json({ message: 'Server error during logout.' });
+  }
+});
+
+// End an impersonation started with POST /api/users/:id/impersonate
+router.post('/impersonation/stop', authenticateToken.allowImpersonatedWrites, async (req, res) => {
+  if (!req.user.impersonatorId) {
+    return res.status(400).json({ message: 'Not impersonating a user.' });
+  }
+  try {
+    await revokeSession(req.user.sid);
+    await recordAudit(req, {
+      action: 'impersonation.stop',
+      entityType: 'User',
+      entityId: req.user.userId,
+      after: { sessionId: req.user.sid }
+    });
+    res.json({ message: 'Impersonation ended.' });
+  } catch (error) {
+    console.error('Error in /impersonation/stop:', error);
+    res.status(500).json({ message: 'Server error while ending impersonation.' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: 'Token is required.' });
+  }
+  try {
+    const verification = await consumeUserToken(token, 'EMAIL_VERIFICATION');
+    if (!verification) {
+      return res.status(400).json({ message: 'Invalid or expired verification token.' });
+    }
+    const user = await prisma.user.update({
+      where: { id: verification.userId },
+      data: { emailVerified: true, emailVerifiedAt: new Date() }
+    });
+    res.json({
+      message: user.approvalStatus === 'PENDING'
+        ? 'Email verified. Your account is awaiting administrator approval.'
+        : 'Email verified. You can now log in.',
+      approvalStatus: user.approvalStatus
+    });
+  } catch (error) {
+    console.error('Error in /verify-email:', error);
+    res.status(500).json({ message: 'Server error during email verification.' });
+  }
+});
+
+// Send a fresh verification email. Same answer whether or not the email exists.
+router.post('/resend-verification', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required.' });
+  }
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: 'If that account needs verification, an email has been sent.' });
+  } catch (error) {
+    console.error('Error in /resend-verification:', error);
+    res.status(500).json({ message: 'Server error while sending verification email.' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the
+// endpoint cannot be used to discover which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required.' });
+  }
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && user.isActive) {
+      const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+      const token = await issueUserToken(user.id, 'PASSWORD_RESET', ttlMinutes);
+      const appUrl = process.env.APP_URL || 'http://localhost:3000';
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Use the link below to reset your password. It expires in ${ttlMinutes} minutes.\n\n` +
+          `${appUrl}/reset-password?token=${token}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    }
+    res.json({ message: 'If that email is registered, a reset link has been sent.' });
+  } catch (error) {
+    console.error('Error in /forgot-password:', error);
+    res.status(500).json({ message: 'Server error during password reset request.' });
+  }
+});
+
+// Set a new password using a one-time reset token
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and password are required.' });
+  }
+  try {
+    const pending = await findUserToken(token, 'PASSWORD_RESET');
+    if (!pending) {
+      return res.status(400).json({ message: 'Invalid or expired reset token.' });
+    }
+    // Validate before consuming so a rejected password does not burn the link
+    const passwordErrors = await validatePassword(password, { userId: pending.userId });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    const resetToken = await consumeUserToken(token, 'PASSWORD_RESET');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token.' });
+    }
 
+    await setPassword(resetToken.userId, password);
+    // Whoever held the old password must not keep a live session
+    await revokeAllSessions(resetToken.userId);
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('Error in /reset-password:', error);
+    res.status(500).json({ message: 'Server error during password reset.' });
+  }
+});
+
+// Set a new password when an admin has forced a change, then finish logging in
+router.post('/change-required-password', async (req, res) => {
+  const { passwordChangeToken, newPassword } = req.body;
+  const challenge = passwordChangeToken && verifyChallengeToken(passwordChangeToken, 'password_change');
+  if (!challenge) {
+    return res.status(401).json({ message: 'Invalid or expired password change token. Please log in again.' });
+  }
+  // The token is only good while the forced change is pending and the password
+  // it was issued for is still the current one, which also makes it single-use
+  const expected = {
+    mustChangePassword: true,
+    passwordChangedAt: challenge.passwordChangedAt == null ? null : new Date(challenge.passwordChangedAt)
+  };
+  try {
+    const current = await prisma.user.findFirst({
+      where: { id: challenge.userId, ...expected },
+      include: { organization: { select: { isActive: true } } }
+    });
+    if (!current) {
+      return res.status(401).json({ message: 'Invalid or expired password change token. Please log in again.' });
+    }
+
+    // The account may have been locked or disabled since the password step
+    if (isLocked(current)) {
+      await recordLoginAttempt(req, { email: current.email, userId: current.id, success: false, reason: 'ACCOUNT_LOCKED' });
+      return res.status(423).json({
+        code: 'ACCOUNT_LOCKED',
+        message: 'Account is temporarily locked due to repeated failed logins.',
+        lockedUntil: current.lockedUntil
+      });
+    }
+    const denial = loginDenial(current);
+    if (denial) {
+      await recordLoginAttempt(req, { email: current.email, userId: current.id, success: false, reason: denial.code });
+      return res.status(403).json(denial);
+    }
+
+    const passwordErrors = await validatePassword(newPassword, { userId: challenge.userId, field: 'newPassword' });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    const user = await setPassword(challenge.userId, newPassword, { expected });
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired password change token. Please log in again.' });
+    }
+    await revokeAllSessions(user.id);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Error in /change-required-password:', error);
+    res.status(500).json({ message: 'Server error while changing password.' });
+  }
+});
+
+// Current password rules, so clients can validate before submitting
+router.get('/password-policy', async (req, res) => {
+  try {
+    res.json(await getPasswordPolicy());
+  } catch (error) {
+    console.error('Error in /password-policy:', error);
+    res.status(500).json({ message: 'Error fetching password policy.' });
+  }
+});
 
 module.exports = router;
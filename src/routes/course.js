@@ -1,17 +1,86 @@
 const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
 const authenticateToken = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const {
+  requireCourseAccess,
+  courseFromParam,
+  courseOfModule
+} = require('../middleware/courseAccess');
+const { recordAudit } = require('../utils/audit');
+const { getStorage, fileUrl, sanitizeFileName } = require('../utils/storage');
+const { releaseQuestionFiles, questionFileValues } = require('../utils/questionFiles');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
+
+// Module materials that may be uploaded; the stored content type comes from this list, not the client
+const MATERIAL_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.mp4': 'video/mp4'
+};
+
+const uploadMaterial = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    if (MATERIAL_TYPES[path.extname(file.originalname).toLowerCase()]) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type. Allowed: ${Object.keys(MATERIAL_TYPES).join(', ')}`));
+    }
+  }
+});
+
+// Report upload problems (wrong type, too large) as 400 instead of falling through to the error handler
+function uploadMaterialFile(req, res, next) {
+  uploadMaterial.single('file')(req, res, err => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}
+
+// Material as returned to clients: the storage key is swapped for a signed download URL
+async function materialPayload(material) {
+  const { storageKey, ...rest } = material;
+  return { ...rest, downloadUrl: await fileUrl(storageKey, { downloadName: material.fileName }) };
+}
+
+// Course fields captured in audit log snapshots
+function courseAuditSnapshot(course) {
+  if (!course) return null;
+  return {
+    id: course.id,
+    title: course.title,
+    description: course.description,
+    createdById: course.createdById,
+    categoryIds: course.categories ? course.categories.map(c => c.id) : undefined
+  };
+}
 
 // ===== COURSE MANAGEMENT ROUTES =====
 
 // Get all courses
 router.get('/courses',
   authenticateToken,
-  authorize('view_courses'),
+  authorize(CAP.VIEW_COURSES),
   async (req, res) => {
     try {
       const courses = await prisma.course.findMany({
@@ -33,7 +102,7 @@ router.get('/courses',
 // Create a new course
 router.post('/courses',
   authenticateToken,
-  authorize('create_courses'),
+  authorize(CAP.CREATE_COURSES),
   async (req, res) => {
     const { title, description, categoryIds } = req.body; // categoryIds is array of Course_Category IDs
 
@@ -55,6 +124,7 @@ router.post('/courses',
         }
       });
 
+      await recordAudit(req, { action: 'course.create', entityType: 'Course', entityId: course.id, after: courseAuditSnapshot(course) });
       res.status(201).json(course);
     } catch (error) {
       console.error('Error creating course:', error);
@@ -67,7 +137,7 @@ router.post('/courses',
 // Get single course by ID (public)
 router.get('/courses/:id',
   authenticateToken,
-  authorize('view_single_course'),
+  authorize(CAP.VIEW_SINGLE_COURSE),
   async (req, res) => {
     try {
       const course = await prisma.course.findUnique({
@@ -76,7 +146,8 @@ router.get('/courses/:id',
           createdBy: { select: { id: true, email: true, fullName: true } },
           modules: { orderBy: { order: 'asc' } },
           enrollments: { include: { user: { select: { id: true, email: true } } } },
-          categories: true
+          categories: true,
+          instructors: { include: { user: { select: { id: true, email: true, fullName: true } } } }
         }
       });
       if (!course) {
@@ -94,26 +165,14 @@ router.get('/courses/:id',
 // Update course (PUT /courses/:id)
 router.put('/courses/:id',
   authenticateToken,
-  authorize('update_course'),
+  authorize(CAP.UPDATE_COURSE),
+  requireCourseAccess('manage', courseFromParam('id')),
   async (req, res) => {
     const { title, description, categoryIds } = req.body; // categoryIds optional array
-    const courseId = parseInt(req.params.id);
+    const courseId = req.courseId;
 
     try {
-      const course = await prisma.course.findUnique({ where: { id: courseId } });
-      if (!course) {
-        return res.status(404).json({ message: 'Course not found' });
-      }
-
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.userId },
-        include: { role: true }
-      });
-
-      if (course.createdById !== req.user.userId && user.role.name !== 'admin') {
-        return res.status(403).json({ message: 'Access denied: You can only update your own courses' });
-      }
-
+      const before = await prisma.course.findUnique({ where: { id: courseId }, include: { categories: true } });
       const updatedCourse = await prisma.course.update({
         where: { id: courseId },
         data: {
@@ -131,6 +190,13 @@ router.put('/courses/:id',
         }
       });
 
+      await recordAudit(req, {
+        action: 'course.update',
+        entityType: 'Course',
+        entityId: courseId,
+        before: courseAuditSnapshot(before),
+        after: courseAuditSnapshot(updatedCourse)
+      });
       res.json(updatedCourse);
     } catch (error) {
       console.error('Error updating course:', error);
@@ -142,26 +208,26 @@ router.put('/courses/:id',
 // Delete course (protected + ownership check)
 router.delete('/courses/:id',
   authenticateToken,
-  authorize('delete_course'),
+  authorize(CAP.DELETE_COURSE),
+  requireCourseAccess('administer', courseFromParam('id')),
   async (req, res) => {
-    const courseId = parseInt(req.params.id);
+    const courseId = req.courseId;
 
     try {
-      const course = await prisma.course.findUnique({ where: { id: courseId } });
-      if (!course) {
-        return res.status(404).json({ message: 'Course not found' });
-      }
-
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.userId },
-        include: { role: true }
+      const before = await prisma.course.findUnique({ where: { id: courseId }, include: { categories: true } });
+      const materials = await prisma.moduleMaterial.findMany({
+        where: { module: { courseId } },
+        select: { storageKey: true }
+      });
+      const questionFiles = await prisma.question.findMany({
+        where: { assessment: { courseId } },
+        select: { imageUrl: true, attachmentUrl: true }
       });
-
-      if (course.createdById !== req.user.userId && user.role.name !== 'admin') {
-        return res.status(403).json({ message: 'Access denied: You can only delete your own courses' });
-      }
-
       await prisma.course.delete({ where: { id: courseId } });
+      // Material and question rows went with the course; their files have to be removed separately
+      await Promise.all(materials.map(material => getStorage().deleteObject(material.storageKey)));
+      await releaseQuestionFiles(questionFileValues(questionFiles));
+      await recordAudit(req, { action: 'course.delete', entityType: 'Course', entityId: courseId, before: courseAuditSnapshot(before) });
 
       res.json({ message: 'Course deleted successfully' });
     } catch (error) {
@@ -171,10 +237,102 @@ router.delete('/courses/:id',
   }
 );
 
+// ===== COURSE INSTRUCTORS (co-owners / co-trainers) =====
+
+// List instructors of a course
+router.get('/courses/:id/instructors',
+  authenticateToken,
+  authorize(CAP.VIEW_SINGLE_COURSE),
+  async (req, res) => {
+    try {
+      const instructors = await prisma.courseInstructor.findMany({
+        where: { courseId: parseInt(req.params.id) },
+        include: { user: { select: { id: true, email: true, fullName: true } } },
+        orderBy: { createdAt: 'asc' }
+      });
+      res.json(instructors);
+    } catch (error) {
+      console.error('Error fetching course instructors:', error);
+      res.status(500).json({ message: 'Error fetching course instructors' });
+    }
+  }
+);
+
+// Add or change a co-owner / co-trainer: PUT /courses/:id/instructors/:userId { role }
+router.put('/courses/:id/instructors/:userId',
+  authenticateToken,
+  authorize(CAP.UPDATE_COURSE),
+  requireCourseAccess('administer', courseFromParam('id')),
+  async (req, res) => {
+    const courseId = req.courseId;
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (!['CO_OWNER', 'CO_TRAINER'].includes(role)) {
+      return res.status(400).json({ message: '`role` must be CO_OWNER or CO_TRAINER' });
+    }
+
+    try {
+      const course = await prisma.course.findUnique({ where: { id: courseId } });
+      if (course.createdById === userId) {
+        return res.status(400).json({ message: 'The course owner cannot also be an instructor' });
+      }
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const previous = await prisma.courseInstructor.findUnique({
+        where: { courseId_userId: { courseId, userId } }
+      });
+      const instructor = await prisma.courseInstructor.upsert({
+        where: { courseId_userId: { courseId, userId } },
+        update: { role },
+        create: { courseId, userId, role },
+        include: { user: { select: { id: true, email: true, fullName: true } } }
+      });
+      await recordAudit(req, {
+        action: 'course.instructor_set',
+        entityType: 'Course',
+        entityId: courseId,
+        before: previous && { userId, role: previous.role },
+        after: { userId, role }
+      });
+      res.json(instructor);
+    } catch (error) {
+      console.error('Error saving course instructor:', error);
+      res.status(500).json({ message: 'Error saving course instructor' });
+    }
+  }
+);
+
+// Remove a co-owner / co-trainer
+router.delete('/courses/:id/instructors/:userId',
+  authenticateToken,
+  authorize(CAP.UPDATE_COURSE),
+  requireCourseAccess('administer', courseFromParam('id')),
+  async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    try {
+      const { count } = await prisma.courseInstructor.deleteMany({
+        where: { courseId: req.courseId, userId }
+      });
+      if (count === 0) {
+        return res.status(404).json({ message: 'Instructor not found' });
+      }
+      await recordAudit(req, { action: 'course.instructor_remove', entityType: 'Course', entityId: req.courseId, before: { userId } });
+      res.json({ message: 'Instructor removed' });
+    } catch (error) {
+      console.error('Error removing course instructor:', error);
+      res.status(500).json({ message: 'Error removing course instructor' });
+    }
+  }
+);
+
 // Enroll trainee in a course (protected)
 router.post('/courses/:id/enroll',
   authenticateToken,
-  authorize('enroll_courses'),
+  authorize(CAP.ENROLL_COURSES),
   async (req, res) => {
     const courseId = parseInt(req.params.id);
     // If traineeUserId is not provided, default to logged-in user (self-enrollment)
@@ -216,6 +374,7 @@ router.post('/courses/:id/enroll',
         }
       });
 
+      await recordAudit(req, { action: 'enrollment.create', entityType: 'Enrollment', entityId: enrollment.id, after: enrollment });
       res.status(201).json({ message: 'Enrolled successfully', enrollment });
     } catch (error) {
       console.error('Error enrolling:', error);
@@ -228,7 +387,7 @@ router.post('/courses/:id/enroll',
 // Get enrolled courses for a specific user with detailed information
 router.get('/users/:userId/enrolled-courses',
   authenticateToken,
-  authorize('view_enrolled_courses_by_user_id'),
+  authorize(CAP.VIEW_ENROLLED_COURSES_BY_USER_ID),
   async (req, res) => {
     const userId = parseInt(req.params.userId);
 
@@ -299,7 +458,7 @@ router.get('/users/:userId/enrolled-courses',
 // Unenroll user from a course (protected)
 router.delete('/courses/:id/enroll',
   authenticateToken,
-  authorize('unenroll_courses'),
+  authorize(CAP.UNENROLL_COURSES),
   async (req, res) => {
     const courseId = parseInt(req.params.id);
 
@@ -325,6 +484,7 @@ router.delete('/courses/:id/enroll',
           }
         }
       });
+      await recordAudit(req, { action: 'enrollment.delete', entityType: 'Enrollment', entityId: enrollment.id, before: enrollment });
 
       res.json({ message: 'Unenrolled successfully' });
     } catch (error) {
@@ -339,7 +499,7 @@ router.delete('/courses/:id/enroll',
 // Get all course categories (protected)
 router.get('/categories',
   authenticateToken,
-  authorize('view_course_categories'),
+  authorize(CAP.VIEW_COURSE_CATEGORIES),
   async (req, res) => {
     try {
       const categories = await prisma.course_Category.findMany({ orderBy: { name: 'asc' } });
@@ -354,15 +514,16 @@ router.get('/categories',
 // Create a new course category (protected)
 router.post('/categories',
   authenticateToken,
-  authorize('create_course_categories'),
+  authorize(CAP.CREATE_COURSE_CATEGORIES),
   async (req, res) => {
     const { name } = req.body;
     try {
-      const existing = await prisma.course_Category.findUnique({ where: { name } });
+      const existing = await prisma.course_Category.findFirst({ where: { name } });
       if (existing) {
         return res.status(400).json({ message: 'Category already exists' });
       }
       const category = await prisma.course_Category.create({ data: { name } });
+      await recordAudit(req, { action: 'course_category.create', entityType: 'CourseCategory', entityId: category.id, after: category });
       res.status(201).json(category);
     } catch (error) {
       console.error('Error creating category:', error);
@@ -377,7 +538,7 @@ router.post('/categories',
 // Get all modules for a course (protected)
 router.get('/courses/:courseId/modules',
   authenticateToken,
-  authorize('view_modules'),
+  authorize(CAP.VIEW_MODULES),
   async (req, res) => {
     const userId = req.user.userId;
     try {
@@ -450,20 +611,12 @@ router.get('/courses/:courseId/modules',
 // Create a new module in a course (protected + ownership check)
 router.post('/courses/:courseId/modules', 
   authenticateToken,
-  authorize('create_modules'),
+  authorize(CAP.CREATE_MODULES),
+  requireCourseAccess('manage', courseFromParam('courseId')),
   async (req, res) => {
     const { title, content, videoLink } = req.body; // receive videoLink
-    const courseId = parseInt(req.params.courseId);
+    const courseId = req.courseId;
     try {
-      const course = await prisma.course.findUnique({ where: { id: courseId } });
-      if (!course) {
-        return res.status(404).json({ message: 'Course not found' });
-      }
-      const user = await prisma.user.findUnique({ where: { id: req.user.userId }, include: { role: true } });
-      if (course.createdById !== req.user.userId && user.role.name !== 'admin') {
-        return res.status(403).json({ message: 'Access denied: You can only manage your own courses' });
-      }
-
       const lastModule = await prisma.module.findFirst({
         where: { courseId },
         orderBy: { order: 'desc' }
@@ -479,6 +632,7 @@ router.post('/courses/:courseId/modules',
           videoLink // include videoLink here
         }
       });
+      await recordAudit(req, { action: 'module.create', entityType: 'Module', entityId: module.id, after: module });
       res.status(201).json(module);
     } catch (error) {
       console.error('Error creating module:', error);
@@ -490,7 +644,7 @@ router.post('/courses/:courseId/modules',
 // Get single module (public)
 router.get('/modules/:moduleId',
   authenticateToken,
-  authorize('get_single_module'), 
+  authorize(CAP.GET_SINGLE_MODULE), 
   async (req, res) => {
     try {
       const moduleId = parseInt(req.params.moduleId);
@@ -499,13 +653,14 @@ router.get('/modules/:moduleId',
         include: { 
           course: {
             select: { id: true, title: true, createdById: true }
-          }
+          },
+          materials: { orderBy: { createdAt: 'asc' } }
         }
       });
       if (!module) {
         return res.status(404).json({ message: 'Module not found' });
       }
-      res.json(module);
+      res.json({ ...module, materials: await Promise.all(module.materials.map(materialPayload)) });
     } catch (error) {
       console.error('Error fetching module:', error);
       res.status(500).json({ message: 'Error fetching module' });
@@ -516,22 +671,13 @@ router.get('/modules/:moduleId',
 // Update module (protected + ownership check)
 router.put('/modules/:moduleId', 
   authenticateToken,
-  authorize('update_module'),
+  authorize(CAP.UPDATE_MODULE),
+  requireCourseAccess('manage', courseOfModule('moduleId')),
   async (req, res) => {
     const { title, content, order, videoLink } = req.body; // include videoLink
     const moduleId = parseInt(req.params.moduleId);
     try {
-      const module = await prisma.module.findUnique({
-        where: { id: moduleId },
-        include: { course: true }
-      });
-      if (!module) {
-        return res.status(404).json({ message: 'Module not found' });
-      }
-      const user = await prisma.user.findUnique({ where: { id: req.user.userId }, include: { role: true } });
-      if (module.course.createdById !== req.user.userId && user.role.name !== 'admin') {
-        return res.status(403).json({ message: 'Access denied: You can only manage your own course modules' });
-      }
+      const before = await prisma.module.findUnique({ where: { id: moduleId } });
       const updatedModule = await prisma.module.update({
         where: { id: moduleId },
         data: {
@@ -541,6 +687,7 @@ router.put('/modules/:moduleId',
           ...(videoLink && { videoLink }) // update videoLink
         }
       });
+      await recordAudit(req, { action: 'module.update', entityType: 'Module', entityId: moduleId, before, after: updatedModule });
       res.json(updatedModule);
     } catch (error) {
       console.error('Error updating module:', error);
@@ -552,19 +699,19 @@ router.put('/modules/:moduleId',
 // Delete module (protected + ownership check)
 router.delete('/modules/:moduleId', 
   authenticateToken,
-  authorize('delete_module'),
+  authorize(CAP.DELETE_MODULE),
+  requireCourseAccess('manage', courseOfModule('moduleId')),
   async (req, res) => {
     const moduleId = parseInt(req.params.moduleId);
     try {
-      const module = await prisma.module.findUnique({ where: { id: moduleId }, include: { course: true } });
-      if (!module) {
-        return res.status(404).json({ message: 'Module not found' });
-      }
-      const user = await prisma.user.findUnique({ where: { id: req.user.userId }, include: { role: true } });
-      if (module.course.createdById !== req.user.userId && user.role.name !== 'admin') {
-        return res.status(403).json({ message: 'Access denied: You can only manage your own course modules' });
-      }
+      const before = await prisma.module.findUnique({
+        where: { id: moduleId },
+        include: { materials: { select: { storageKey: true } } }
+      });
       await prisma.module.delete({ where: { id: moduleId } });
+      // Material rows go with the module; their files have to be removed separately
+      await Promise.all(before.materials.map(material => getStorage().deleteObject(material.storageKey)));
+      await recordAudit(req, { action: 'module.delete', entityType: 'Module', entityId: moduleId, before });
       res.json({ message: 'Module deleted successfully' });
     } catch (error) {
       console.error('Error deleting module:', error);
@@ -573,19 +720,93 @@ router.delete('/modules/:moduleId',
   }
 );
 
+// List a module's materials with download URLs: GET /api/modules/:moduleId/materials
+router.get('/modules/:moduleId/materials',
+  authenticateToken,
+  authorize(CAP.GET_SINGLE_MODULE),
+  async (req, res) => {
+    const moduleId = parseInt(req.params.moduleId, 10);
+    if (isNaN(moduleId)) return res.status(400).json({ message: 'Invalid module ID' });
+    try {
+      if (!(await prisma.module.findUnique({ where: { id: moduleId }, select: { id: true } }))) {
+        return res.status(404).json({ message: 'Module not found' });
+      }
+      const materials = await prisma.moduleMaterial.findMany({ where: { moduleId }, orderBy: { createdAt: 'asc' } });
+      res.json(await Promise.all(materials.map(materialPayload)));
+    } catch (error) {
+      console.error('Error fetching module materials:', error);
+      res.status(500).json({ message: 'Error fetching module materials' });
+    }
+  }
+);
+
+// Upload a material to a module: POST /api/modules/:moduleId/materials (multipart, field `file`)
+router.post('/modules/:moduleId/materials',
+  authenticateToken,
+  authorize(CAP.UPDATE_MODULE),
+  requireCourseAccess('manage', courseOfModule('moduleId')),
+  uploadMaterialFile,
+  async (req, res) => {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+    const moduleId = parseInt(req.params.moduleId, 10);
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    const storageKey = `modules/${moduleId}/${crypto.randomUUID()}-${sanitizeFileName(req.file.originalname)}`;
+    try {
+      await getStorage().putObject(storageKey, req.file.buffer, { contentType: MATERIAL_TYPES[ext] });
+      const material = await prisma.moduleMaterial.create({
+        data: {
+          moduleId,
+          fileName: path.basename(req.file.originalname),
+          storageKey,
+          contentType: MATERIAL_TYPES[ext],
+          size: req.file.size,
+          uploadedById: req.user.userId
+        }
+      });
+      await recordAudit(req, { action: 'module.material_upload', entityType: 'Module', entityId: moduleId, after: material });
+      res.status(201).json(await materialPayload(material));
+    } catch (error) {
+      console.error('Error uploading module material:', error);
+      await getStorage().deleteObject(storageKey).catch(() => {});
+      res.status(500).json({ message: 'Error uploading module material' });
+    }
+  }
+);
+
+// Delete a material and its file: DELETE /api/modules/:moduleId/materials/:materialId
+router.delete('/modules/:moduleId/materials/:materialId',
+  authenticateToken,
+  authorize(CAP.UPDATE_MODULE),
+  requireCourseAccess('manage', courseOfModule('moduleId')),
+  async (req, res) => {
+    const moduleId = parseInt(req.params.moduleId, 10);
+    const materialId = parseInt(req.params.materialId, 10);
+    if (isNaN(materialId)) return res.status(400).json({ message: 'Invalid material ID' });
+    try {
+      const material = await prisma.moduleMaterial.findUnique({ where: { id: materialId } });
+      if (!material || material.moduleId !== moduleId) {
+        return res.status(404).json({ message: 'Material not found' });
+      }
+      await prisma.moduleMaterial.delete({ where: { id: materialId } });
+      await getStorage().deleteObject(material.storageKey);
+      await recordAudit(req, { action: 'module.material_delete', entityType: 'Module', entityId: moduleId, before: material });
+      res.json({ message: 'Material deleted' });
+    } catch (error) {
+      console.error('Error deleting module material:', error);
+      res.status(500).json({ message: 'Error deleting module material' });
+    }
+  }
+);
+
 // Reorder modules in a course (protected + ownership check)
 router.put('/courses/:courseId/modules/reorder', 
   authenticateToken,
-  authorize('reorder_module'),
+  authorize(CAP.REORDER_MODULE),
+  requireCourseAccess('manage', courseFromParam('courseId')),
   async (req, res) => {
     const { moduleOrders } = req.body; // Array of { moduleId, order }
-    const courseId = parseInt(req.params.courseId);
+    const courseId = req.courseId;
     try {
-      const course = await prisma.course.findUnique({ where: { id: courseId } });
-      if (!course) { return res.status(404).json({ message: 'Course not found' }); }
-      const user = await prisma.user.findUnique({ where: { id: req.user.userId }, include: { role: true } });
-      if (course.createdById !== req.user.userId && user.role.name !== 'admin') { return res.status(403).json({ message: 'Access denied: You can only manage your own courses' }); }
-
       const moduleIds = moduleOrders.map(item => item.moduleId);
       const modules = await prisma.module.findMany({ where: { id: { in: moduleIds }, courseId } });
       if (modules.length !== moduleIds.length) { return res.status(400).json({ message: 'Some modules do not belong to this course' }); }
@@ -593,6 +814,13 @@ router.put('/courses/:courseId/modules/reorder',
       for (const item of moduleOrders) {
         await prisma.module.update({ where: { id: item.moduleId }, data: { order: item.order } });
       }
+      await recordAudit(req, {
+        action: 'module.reorder',
+        entityType: 'Course',
+        entityId: courseId,
+        before: { order: modules.map(m => ({ moduleId: m.id, order: m.order })) },
+        after: { order: moduleOrders.map(item => ({ moduleId: item.moduleId, order: item.order })) }
+      });
       res.json({ message: 'Modules reordered successfully' });
     } catch (error) {
       console.error('Error reordering modules:', error);
@@ -604,7 +832,7 @@ router.put('/courses/:courseId/modules/reorder',
 //update module completion status for a user
 router.patch('/modules/:moduleId/status',
   authenticateToken,
-  authorize('update_module_completion_status'),
+  authorize(CAP.UPDATE_MODULE_COMPLETION_STATUS),
   async (req, res) => {
     const moduleId = parseInt(req.params.moduleId);
     const userId = req.user.userId;
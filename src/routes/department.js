@@ -0,0 +1,316 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+const memberSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  designation: true,
+  teamId: true,
+  managerId: true
+};
+
+/**
+ * Enroll every active user matching `where` into a course. Users already
+ * enrolled are skipped. Resolves to null when the course does not exist.
+ */
+async function enrollMembers(req, where, courseId) {
+  const course = await prisma.course.findUnique({ where: { id: courseId }, select: { id: true } });
+  if (!course) return null;
+
+  const members = await prisma.user.findMany({ where: { ...where, isActive: true }, select: { id: true } });
+  const { count } = await prisma.enrollment.createMany({
+    data: members.map(member => ({ userId: member.id, courseId, enrolledById: req.user.userId })),
+    skipDuplicates: true
+  });
+  return { members: members.length, enrolled: count };
+}
+
+// ===== DEPARTMENTS =====
+
+// List departments with their teams: GET /api/departments
+router.get('/departments',
+  authenticateToken,
+  authorize(CAP.VIEW_DEPARTMENTS),
+  async (req, res) => {
+    try {
+      const departments = await prisma.department.findMany({
+        include: {
+          teams: { include: { _count: { select: { users: true } } }, orderBy: { name: 'asc' } },
+          _count: { select: { users: true } }
+        },
+        orderBy: { name: 'asc' }
+      });
+      res.json(departments);
+    } catch (error) {
+      console.error('Error fetching departments:', error);
+      res.status(500).json({ message: 'Error fetching departments' });
+    }
+  }
+);
+
+// Create a department: POST /api/departments { name, description }
+router.post('/departments',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const { name, description } = req.body;
+    if (!name) return res.status(400).json({ message: '`name` is required' });
+    try {
+      if (await prisma.department.findFirst({ where: { name } })) {
+        return res.status(409).json({ message: 'A department with this name already exists' });
+      }
+      const department = await prisma.department.create({ data: { name, description: description || null } });
+      await recordAudit(req, { action: 'department.create', entityType: 'Department', entityId: department.id, after: department });
+      res.status(201).json(department);
+    } catch (error) {
+      console.error('Error creating department:', error);
+      res.status(500).json({ message: 'Error creating department' });
+    }
+  }
+);
+
+// Get a department with its teams and active members: GET /api/departments/:id
+router.get('/departments/:id',
+  authenticateToken,
+  authorize(CAP.VIEW_DEPARTMENTS),
+  async (req, res) => {
+    const departmentId = parseInt(req.params.id, 10);
+    if (isNaN(departmentId)) return res.status(400).json({ message: 'Invalid department ID' });
+    try {
+      const department = await prisma.department.findUnique({
+        where: { id: departmentId },
+        include: {
+          teams: { orderBy: { name: 'asc' } },
+          users: { where: { isActive: true }, select: memberSelect, orderBy: { id: 'asc' } }
+        }
+      });
+      if (!department) return res.status(404).json({ message: 'Department not found' });
+      res.json(department);
+    } catch (error) {
+      console.error('Error fetching department:', error);
+      res.status(500).json({ message: 'Error fetching department' });
+    }
+  }
+);
+
+// Rename or describe a department: PUT /api/departments/:id { name?, description? }
+router.put('/departments/:id',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const departmentId = parseInt(req.params.id, 10);
+    if (isNaN(departmentId)) return res.status(400).json({ message: 'Invalid department ID' });
+    const { name, description } = req.body;
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({ message: 'Provide `name` and/or `description`' });
+    }
+    try {
+      const before = await prisma.department.findUnique({ where: { id: departmentId } });
+      if (!before) return res.status(404).json({ message: 'Department not found' });
+      if (name) {
+        const existing = await prisma.department.findFirst({ where: { name } });
+        if (existing && existing.id !== departmentId) {
+          return res.status(409).json({ message: 'A department with this name already exists' });
+        }
+      }
+      const department = await prisma.department.update({
+        where: { id: departmentId },
+        data: {
+          ...(name && { name }),
+          ...(description !== undefined && { description: description || null })
+        }
+      });
+      await recordAudit(req, { action: 'department.update', entityType: 'Department', entityId: departmentId, before, after: department });
+      res.json(department);
+    } catch (error) {
+      console.error('Error updating department:', error);
+      res.status(500).json({ message: 'Error updating department' });
+    }
+  }
+);
+
+// Delete a department and its teams; members keep their accounts: DELETE /api/departments/:id
+router.delete('/departments/:id',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const departmentId = parseInt(req.params.id, 10);
+    if (isNaN(departmentId)) return res.status(400).json({ message: 'Invalid department ID' });
+    try {
+      const department = await prisma.department.findUnique({ where: { id: departmentId } });
+      if (!department) return res.status(404).json({ message: 'Department not found' });
+      // Users of the department and its teams are detached by the SET NULL foreign keys
+      await prisma.department.delete({ where: { id: departmentId } });
+      await recordAudit(req, { action: 'department.delete', entityType: 'Department', entityId: departmentId, before: department });
+      res.json({ message: 'Department deleted' });
+    } catch (error) {
+      console.error('Error deleting department:', error);
+      res.status(500).json({ message: 'Error deleting department' });
+    }
+  }
+);
+
+// Enroll every active member of a department: POST /api/departments/:id/enroll { courseId }
+router.post('/departments/:id/enroll',
+  authenticateToken,
+  authorize(CAP.ENROLL_COURSES),
+  async (req, res) => {
+    const departmentId = parseInt(req.params.id, 10);
+    const courseId = parseInt(req.body.courseId, 10);
+    if (isNaN(departmentId)) return res.status(400).json({ message: 'Invalid department ID' });
+    if (isNaN(courseId)) return res.status(400).json({ message: '`courseId` is required' });
+    try {
+      if (!(await prisma.department.findUnique({ where: { id: departmentId } }))) {
+        return res.status(404).json({ message: 'Department not found' });
+      }
+      const result = await enrollMembers(req, { departmentId }, courseId);
+      if (!result) return res.status(404).json({ message: 'Course not found' });
+      await recordAudit(req, {
+        action: 'department.enroll',
+        entityType: 'Department',
+        entityId: departmentId,
+        after: { courseId, ...result }
+      });
+      res.json({ message: 'Department enrolled', ...result });
+    } catch (error) {
+      console.error('Error enrolling department:', error);
+      res.status(500).json({ message: 'Error enrolling department' });
+    }
+  }
+);
+
+// ===== TEAMS =====
+
+// Add a team to a department: POST /api/departments/:id/teams { name }
+router.post('/departments/:id/teams',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const departmentId = parseInt(req.params.id, 10);
+    if (isNaN(departmentId)) return res.status(400).json({ message: 'Invalid department ID' });
+    const { name } = req.body;
+    if (!name) return res.status(400).json({ message: '`name` is required' });
+    try {
+      if (!(await prisma.department.findUnique({ where: { id: departmentId } }))) {
+        return res.status(404).json({ message: 'Department not found' });
+      }
+      const existing = await prisma.team.findUnique({ where: { departmentId_name: { departmentId, name } } });
+      if (existing) {
+        return res.status(409).json({ message: 'This department already has a team with this name' });
+      }
+      const team = await prisma.team.create({ data: { name, departmentId } });
+      await recordAudit(req, { action: 'team.create', entityType: 'Team', entityId: team.id, after: team });
+      res.status(201).json(team);
+    } catch (error) {
+      console.error('Error creating team:', error);
+      res.status(500).json({ message: 'Error creating team' });
+    }
+  }
+);
+
+// Get a team with its active members: GET /api/teams/:teamId
+router.get('/teams/:teamId',
+  authenticateToken,
+  authorize(CAP.VIEW_DEPARTMENTS),
+  async (req, res) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) return res.status(400).json({ message: 'Invalid team ID' });
+    try {
+      const team = await prisma.team.findUnique({
+        where: { id: teamId },
+        include: {
+          department: { select: { id: true, name: true } },
+          users: { where: { isActive: true }, select: memberSelect, orderBy: { id: 'asc' } }
+        }
+      });
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      res.json(team);
+    } catch (error) {
+      console.error('Error fetching team:', error);
+      res.status(500).json({ message: 'Error fetching team' });
+    }
+  }
+);
+
+// Rename a team: PUT /api/teams/:teamId { name }
+router.put('/teams/:teamId',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) return res.status(400).json({ message: 'Invalid team ID' });
+    const { name } = req.body;
+    if (!name) return res.status(400).json({ message: '`name` is required' });
+    try {
+      const before = await prisma.team.findUnique({ where: { id: teamId } });
+      if (!before) return res.status(404).json({ message: 'Team not found' });
+      const existing = await prisma.team.findUnique({
+        where: { departmentId_name: { departmentId: before.departmentId, name } }
+      });
+      if (existing && existing.id !== teamId) {
+        return res.status(409).json({ message: 'This department already has a team with this name' });
+      }
+      const team = await prisma.team.update({ where: { id: teamId }, data: { name } });
+      await recordAudit(req, { action: 'team.update', entityType: 'Team', entityId: teamId, before, after: team });
+      res.json(team);
+    } catch (error) {
+      console.error('Error updating team:', error);
+      res.status(500).json({ message: 'Error updating team' });
+    }
+  }
+);
+
+// Delete a team; members stay in the department: DELETE /api/teams/:teamId
+router.delete('/teams/:teamId',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) return res.status(400).json({ message: 'Invalid team ID' });
+    try {
+      const team = await prisma.team.findUnique({ where: { id: teamId } });
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      await prisma.team.delete({ where: { id: teamId } });
+      await recordAudit(req, { action: 'team.delete', entityType: 'Team', entityId: teamId, before: team });
+      res.json({ message: 'Team deleted' });
+    } catch (error) {
+      console.error('Error deleting team:', error);
+      res.status(500).json({ message: 'Error deleting team' });
+    }
+  }
+);
+
+// Enroll every active member of a team: POST /api/teams/:teamId/enroll { courseId }
+router.post('/teams/:teamId/enroll',
+  authenticateToken,
+  authorize(CAP.ENROLL_COURSES),
+  async (req, res) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    const courseId = parseInt(req.body.courseId, 10);
+    if (isNaN(teamId)) return res.status(400).json({ message: 'Invalid team ID' });
+    if (isNaN(courseId)) return res.status(400).json({ message: '`courseId` is required' });
+    try {
+      if (!(await prisma.team.findUnique({ where: { id: teamId } }))) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+      const result = await enrollMembers(req, { teamId }, courseId);
+      if (!result) return res.status(404).json({ message: 'Course not found' });
+      await recordAudit(req, { action: 'team.enroll', entityType: 'Team', entityId: teamId, after: { courseId, ...result } });
+      res.json({ message: 'Team enrolled', ...result });
+    } catch (error) {
+      console.error('Error enrolling team:', error);
+      res.status(500).json({ message: 'Error enrolling team' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { getStorage, verifySignedUrl } = require('../utils/storage');
+
+const router = express.Router();
+
+/**
+ * Download a file from local storage: GET /api/files/<key>?expires=&signature=[&name=]
+ * The URL itself is the credential; links are handed out by utils/storage
+ * fileUrl() and stop working once they expire. With the S3 driver clients
+ * download from the bucket directly and this route is unused.
+ */
+router.get('/*key', (req, res) => {
+  const storage = getStorage();
+  const key = req.params.key.join('/');
+  if (storage.name !== 'local') return res.status(404).json({ message: 'File not found' });
+  if (!verifySignedUrl(key, req.query)) {
+    return res.status(403).json({ message: 'This link is invalid or has expired' });
+  }
+
+  let filePath;
+  try {
+    filePath = storage.filePath(key);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid file path' });
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', 'private, max-age=0');
+  if (typeof req.query.name === 'string') res.attachment(req.query.name);
+  res.sendFile(filePath, { dotfiles: 'deny' }, err => {
+    if (!err) return;
+    if (err.code === 'ENOENT' || err.status === 404) {
+      if (!res.headersSent) res.status(404).json({ message: 'File not found' });
+      return;
+    }
+    console.error('Error sending file:', err);
+    if (!res.headersSent) res.status(500).json({ message: 'Error sending file' });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+const memberSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  designation: true,
+  isActive: true
+};
+
+// `?unenroll=true` on removals also deletes the enrollments the group created
+const wantsUnenroll = req => String(req.query.unenroll ?? req.body?.unenroll) === 'true';
+
+/**
+ * Enroll users in courses on behalf of a group. Existing enrollments (direct
+ * or from another group) are left as they are; deactivated users are skipped.
+ */
+async function enrollInGroupCourses(req, groupId, userIds, courseIds) {
+  if (userIds.length === 0 || courseIds.length === 0) return 0;
+  const users = await prisma.user.findMany({ where: { id: { in: userIds }, isActive: true }, select: { id: true } });
+  const { count } = await prisma.enrollment.createMany({
+    data: users.flatMap(user => courseIds.map(courseId => ({
+      userId: user.id,
+      courseId,
+      enrolledById: req.user.userId,
+      groupId
+    }))),
+    skipDuplicates: true
+  });
+  return count;
+}
+
+/**
+ * Let go of enrollments a group created, optionally limited to some users or
+ * courses. An enrollment still covered by another group of the user is handed
+ * over to that group; the rest are deleted with `unenroll`, otherwise they
+ * are kept as direct enrollments. Enrollments made outside the group are never touched.
+ */
+async function releaseGroupEnrollments(groupId, { userIds, courseIds, unenroll = false } = {}) {
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      groupId,
+      ...(userIds && { userId: { in: userIds } }),
+      ...(courseIds && { courseId: { in: courseIds } })
+    },
+    select: { id: true, userId: true, courseId: true }
+  });
+  if (enrollments.length === 0) return { unenrolled: 0, transferred: 0, kept: 0 };
+
+  const otherMemberships = await prisma.groupMember.findMany({
+    where: {
+      userId: { in: [...new Set(enrollments.map(e => e.userId))] },
+      groupId: { not: groupId }
+    },
+    select: { userId: true, groupId: true, group: { select: { courses: { select: { courseId: true } } } } }
+  });
+  const coveredBy = new Map();
+  for (const membership of otherMemberships) {
+    for (const { courseId } of membership.group.courses) {
+      coveredBy.set(`${membership.userId}:${courseId}`, membership.groupId);
+    }
+  }
+
+  let transferred = 0;
+  const released = [];
+  for (const enrollment of enrollments) {
+    const otherGroupId = coveredBy.get(`${enrollment.userId}:${enrollment.courseId}`);
+    if (otherGroupId) {
+      await prisma.enrollment.update({ where: { id: enrollment.id }, data: { groupId: otherGroupId } });
+      transferred++;
+    } else {
+      released.push(enrollment.id);
+    }
+  }
+
+  const where = { id: { in: released } };
+  if (unenroll) {
+    const { count } = await prisma.enrollment.deleteMany({ where });
+    return { unenrolled: count, transferred, kept: 0 };
+  }
+  const { count } = await prisma.enrollment.updateMany({ where, data: { groupId: null } });
+  return { unenrolled: 0, transferred, kept: count };
+}
+
+// Parse `userIds` from the body into a de-duplicated list of integers, or null if malformed
+function parseUserIds(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const ids = value.map(id => parseInt(id, 10));
+  return ids.some(isNaN) ? null : [...new Set(ids)];
+}
+
+// List groups: GET /api/groups
+router.get('/',
+  authenticateToken,
+  authorize(CAP.VIEW_GROUPS),
+  async (req, res) => {
+    try {
+      const groups = await prisma.group.findMany({
+        include: { _count: { select: { members: true, courses: true } } },
+        orderBy: { name: 'asc' }
+      });
+      res.json(groups);
+    } catch (error) {
+      console.error('Error fetching groups:', error);
+      res.status(500).json({ message: 'Error fetching groups' });
+    }
+  }
+);
+
+// Create a group: POST /api/groups { name, description }
+router.post('/',
+  authenticateToken,
+  authorize(CAP.MANAGE_GROUPS),
+  async (req, res) => {
+    const { name, description } = req.body;
+    if (!name) return res.status(400).json({ message: '`name` is required' });
+    try {
+      if (await prisma.group.findFirst({ where: { name } })) {
+        return res.status(409).json({ message: 'A group with this name already exists' });
+      }
+      const group = await prisma.group.create({ data: { name, description: description || null } });
+      await recordAudit(req, { action: 'group.create', entityType: 'Group', entityId: group.id, after: group });
+      res.status(201).json(group);
+    } catch (error) {
+      console.error('Error creating group:', error);
+      res.status(500).json({ message: 'Error creating group' });
+    }
+  }
+);
+
+// Get a group with its members and courses: GET /api/groups/:id
+router.get('/:id',
+  authenticateToken,
+  authorize(CAP.VIEW_GROUPS),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    try {
+      const group = await prisma.group.findUnique({
+        where: { id: groupId },
+        include: {
+          members: { include: { user: { select: memberSelect } }, orderBy: { joinedAt: 'asc' } },
+          courses: { include: { course: { select: { id: true, title: true } } }, orderBy: { createdAt: 'asc' } }
+        }
+      });
+      if (!group) return res.status(404).json({ message: 'Group not found' });
+      res.json(group);
+    } catch (error) {
+      console.error('Error fetching group:', error);
+      res.status(500).json({ message: 'Error fetching group' });
+    }
+  }
+);
+
+// Rename or describe a group: PUT /api/groups/:id { name?, description? }
+router.put('/:id',
+  authenticateToken,
+  authorize(CAP.MANAGE_GROUPS),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    const { name, description } = req.body;
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({ message: 'Provide `name` and/or `description`' });
+    }
+    try {
+      const before = await prisma.group.findUnique({ where: { id: groupId } });
+      if (!before) return res.status(404).json({ message: 'Group not found' });
+      if (name) {
+        const existing = await prisma.group.findFirst({ where: { name } });
+        if (existing && existing.id !== groupId) {
+          return res.status(409).json({ message: 'A group with this name already exists' });
+        }
+      }
+      const group = await prisma.group.update({
+        where: { id: groupId },
+        data: {
+          ...(name && { name }),
+          ...(description !== undefined && { description: description || null })
+        }
+      });
+      await recordAudit(req, { action: 'group.update', entityType: 'Group', entityId: groupId, before, after: group });
+      res.json(group);
+    } catch (error) {
+      console.error('Error updating group:', error);
+      res.status(500).json({ message: 'Error updating group' });
+    }
+  }
+);
+
+// Delete a group: DELETE /api/groups/:id[?unenroll=true]
+// Enrollments it created are kept as direct enrollments unless `unenroll` is set
+router.delete('/:id',
+  authenticateToken,
+  authorize(CAP.MANAGE_GROUPS),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    try {
+      const group = await prisma.group.findUnique({ where: { id: groupId } });
+      if (!group) return res.status(404).json({ message: 'Group not found' });
+      const result = await releaseGroupEnrollments(groupId, { unenroll: wantsUnenroll(req) });
+      await prisma.group.delete({ where: { id: groupId } });
+      await recordAudit(req, { action: 'group.delete', entityType: 'Group', entityId: groupId, before: group, after: result });
+      res.json({ message: 'Group deleted', ...result });
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      res.status(500).json({ message: 'Error deleting group' });
+    }
+  }
+);
+
+// ===== MEMBERS =====
+
+// Add members and enroll them in the group's courses: POST /api/groups/:id/members { userIds }
+router.post('/:id/members',
+  authenticateToken,
+  authorize(CAP.MANAGE_GROUPS),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    const userIds = parseUserIds(req.body.userIds);
+    if (!userIds) return res.status(400).json({ message: '`userIds` must be a non-empty array of user IDs' });
+    try {
+      const group = await prisma.group.findUnique({
+        where: { id: groupId },
+        include: { courses: { select: { courseId: true } }, members: { select: { userId: true } } }
+      });
+      if (!group) return res.status(404).json({ message: 'Group not found' });
+
+      const users = await prisma.user.findMany({
+        where: { id: { in: userIds }, isActive: true, isServiceAccount: false },
+        select: { id: true }
+      });
+      const found = new Set(users.map(user => user.id));
+      const unknown = userIds.filter(id => !found.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: 'Some users do not exist or are deactivated', userIds: unknown });
+      }
+
+      const existing = new Set(group.members.map(member => member.userId));
+      const newUserIds = userIds.filter(id => !existing.has(id));
+      await prisma.groupMember.createMany({
+        data: newUserIds.map(userId => ({ groupId, userId })),
+        skipDuplicates: true
+      });
+      // Existing members already got the group's courses when they joined
+      const enrolled = await enrollInGroupCourses(req, groupId, newUserIds, group.courses.map(gc => gc.courseId));
+
+      await recordAudit(req, {
+        action: 'group.members_add',
+        entityType: 'Group',
+        entityId: groupId,
+        after: { userIds: newUserIds, enrolled }
+      });
+      res.status(201).json({ message: 'Members added', added: newUserIds.length, enrolled });
+    } catch (error) {
+      console.error('Error adding group members:', error);
+      res.status(500).json({ message: 'Error adding group members' });
+    }
+  }
+);
+
+// Remove a member: DELETE /api/groups/:id/members/:userId[?unenroll=true]
+router.delete('/:id/members/:userId',
+  authenticateToken,
+  authorize(CAP.MANAGE_GROUPS),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    const userId = parseInt(req.params.userId, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    try {
+      const membership = await prisma.groupMember.findUnique({ where: { groupId_userId: { groupId, userId } } });
+      if (!membership) return res.status(404).json({ message: 'User is not a member of this group' });
+
+      await prisma.groupMember.delete({ where: { id: membership.id } });
+      const result = await releaseGroupEnrollments(groupId, { userIds: [userId], unenroll: wantsUnenroll(req) });
+
+      await recordAudit(req, {
+        action: 'group.member_remove',
+        entityType: 'Group',
+        entityId: groupId,
+        before: { userId },
+        after: result
+      });
+      res.json({ message: 'Member removed', ...result });
+    } catch (error) {
+      console.error('Error removing group member:', error);
+      res.status(500).json({ message: 'Error removing group member' });
+    }
+  }
+);
+
+// ===== COURSES =====
+
+// Enroll the group in a course; later members are enrolled too: POST /api/groups/:id/courses { courseId }
+router.post('/:id/courses',
+  authenticateToken,
+  authorize(CAP.ENROLL_COURSES),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    const courseId = parseInt(req.body.courseId, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    if (isNaN(courseId)) return res.status(400).json({ message: '`courseId` is required' });
+    try {
+      const group = await prisma.group.findUnique({
+        where: { id: groupId },
+        include: { members: { select: { userId: true } } }
+      });
+      if (!group) return res.status(404).json({ message: 'Group not found' });
+      if (!(await prisma.course.findUnique({ where: { id: courseId }, select: { id: true } }))) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+      if (await prisma.groupCourse.findUnique({ where: { groupId_courseId: { groupId, courseId } } })) {
+        return res.status(409).json({ message: 'The group is already enrolled in this course' });
+      }
+
+      await prisma.groupCourse.create({ data: { groupId, courseId } });
+      const enrolled = await enrollInGroupCourses(req, groupId, group.members.map(m => m.userId), [courseId]);
+
+      await recordAudit(req, {
+        action: 'group.course_add',
+        entityType: 'Group',
+        entityId: groupId,
+        after: { courseId, members: group.members.length, enrolled }
+      });
+      res.status(201).json({ message: 'Group enrolled', members: group.members.length, enrolled });
+    } catch (error) {
+      console.error('Error enrolling group:', error);
+      res.status(500).json({ message: 'Error enrolling group' });
+    }
+  }
+);
+
+// Stop enrolling new members in a course: DELETE /api/groups/:id/courses/:courseId[?unenroll=true]
+router.delete('/:id/courses/:courseId',
+  authenticateToken,
+  authorize(CAP.ENROLL_COURSES),
+  async (req, res) => {
+    const groupId = parseInt(req.params.id, 10);
+    const courseId = parseInt(req.params.courseId, 10);
+    if (isNaN(groupId)) return res.status(400).json({ message: 'Invalid group ID' });
+    if (isNaN(courseId)) return res.status(400).json({ message: 'Invalid course ID' });
+    try {
+      const groupCourse = await prisma.groupCourse.findUnique({ where: { groupId_courseId: { groupId, courseId } } });
+      if (!groupCourse) return res.status(404).json({ message: 'The group is not enrolled in this course' });
+
+      await prisma.groupCourse.delete({ where: { id: groupCourse.id } });
+      const result = await releaseGroupEnrollments(groupId, { courseIds: [courseId], unenroll: wantsUnenroll(req) });
+
+      await recordAudit(req, {
+        action: 'group.course_remove',
+        entityType: 'Group',
+        entityId: groupId,
+        before: { courseId },
+        after: result
+      });
+      res.json({ message: 'Course removed from group', ...result });
+    } catch (error) {
+      console.error('Error removing group course:', error);
+      res.status(500).json({ message: 'Error removing group course' });
+    }
+  }
+);
+
+module.exports = router;
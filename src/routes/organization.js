@@ -0,0 +1,197 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_ORGANIZATION_ID } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { requirePlatformOrganization } = require('../middleware/tenant');
+const { CAP } = require('../utils/capabilities');
+const { validatePassword, passwordPolicyError, recordPasswordHistory } = require('../utils/passwordPolicy');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+// Organizations are managed across tenants, so this client is deliberately not tenant-scoped
+const prisma = new PrismaClient();
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const organizationSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// The caller's own organization: GET /api/organizations/current
+router.get('/current',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const organization = await prisma.organization.findUnique({
+        where: { id: req.user.org },
+        select: organizationSelect
+      });
+      if (!organization) return res.status(404).json({ message: 'Organization not found' });
+      res.json(organization);
+    } catch (error) {
+      console.error('Error fetching organization:', error);
+      res.status(500).json({ message: 'Error fetching organization' });
+    }
+  }
+);
+
+// List organizations with their size: GET /api/organizations
+router.get('/',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.MANAGE_ORGANIZATIONS),
+  async (req, res) => {
+    try {
+      const organizations = await prisma.organization.findMany({
+        select: { ...organizationSelect, _count: { select: { users: true, courses: true } } },
+        orderBy: { id: 'asc' }
+      });
+      res.json(organizations);
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+      res.status(500).json({ message: 'Error fetching organizations' });
+    }
+  }
+);
+
+/**
+ * Create an organization with its first administrator:
+ * POST /api/organizations { name, slug, admin: { email, password, fullName? } }
+ * The administrator gets an `admin` role holding every capability except the
+ * platform ones, which only the default organization can use.
+ */
+router.post('/',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.MANAGE_ORGANIZATIONS),
+  async (req, res) => {
+    const { name, slug, admin } = req.body;
+    if (!name || !slug) return res.status(400).json({ message: '`name` and `slug` are required' });
+    if (!SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({ message: '`slug` may only contain lowercase letters, digits and dashes' });
+    }
+    if (!admin || !admin.email || !admin.password) {
+      return res.status(400).json({ message: '`admin.email` and `admin.password` are required' });
+    }
+
+    try {
+      const passwordErrors = await validatePassword(admin.password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json(passwordPolicyError(passwordErrors));
+      }
+      if (await prisma.organization.findUnique({ where: { slug } })) {
+        return res.status(409).json({ message: 'An organization with this slug already exists' });
+      }
+      if (await prisma.user.findUnique({ where: { email: admin.email } })) {
+        return res.status(409).json({ message: 'A user with this email already exists' });
+      }
+
+      const capabilities = await prisma.capability.findMany({
+        where: { category: { not: 'platform' } },
+        select: { id: true }
+      });
+      const hashedPassword = await bcrypt.hash(admin.password, 10);
+
+      const { organization, adminUser } = await prisma.$transaction(async tx => {
+        const organization = await tx.organization.create({ data: { name, slug }, select: organizationSelect });
+        const role = await tx.role.create({
+          data: {
+            name: 'admin',
+            organizationId: organization.id,
+            roleCapabilities: { create: capabilities.map(cap => ({ capabilityId: cap.id })) }
+          }
+        });
+        const adminUser = await tx.user.create({
+          data: {
+            email: admin.email,
+            password: hashedPassword,
+            fullName: admin.fullName || null,
+            organizationId: organization.id,
+            roleId: role.id,
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+            passwordChangedAt: new Date()
+          },
+          select: { id: true, email: true, fullName: true, roleId: true }
+        });
+        return { organization, adminUser };
+      });
+
+      await recordPasswordHistory(adminUser.id, hashedPassword);
+      await recordAudit(req, {
+        action: 'organization.create',
+        entityType: 'Organization',
+        entityId: organization.id,
+        after: { ...organization, adminUserId: adminUser.id }
+      });
+      res.status(201).json({ ...organization, admin: adminUser });
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      res.status(500).json({ message: 'Error creating organization' });
+    }
+  }
+);
+
+/**
+ * Rename, suspend or reactivate an organization: PUT /api/organizations/:id { name?, isActive? }
+ * Suspending signs out every member; they cannot log in until it is reactivated.
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.MANAGE_ORGANIZATIONS),
+  async (req, res) => {
+    const organizationId = parseInt(req.params.id, 10);
+    if (isNaN(organizationId)) return res.status(400).json({ message: 'Invalid organization ID' });
+    const { name, isActive } = req.body;
+    if (name === undefined && isActive === undefined) {
+      return res.status(400).json({ message: 'Provide `name` and/or `isActive`' });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: '`isActive` must be a boolean' });
+    }
+    if (organizationId === DEFAULT_ORGANIZATION_ID && isActive === false) {
+      return res.status(400).json({ message: 'The platform organization cannot be suspended' });
+    }
+
+    try {
+      const before = await prisma.organization.findUnique({ where: { id: organizationId }, select: organizationSelect });
+      if (!before) return res.status(404).json({ message: 'Organization not found' });
+
+      const organization = await prisma.organization.update({
+        where: { id: organizationId },
+        data: {
+          ...(name && { name }),
+          ...(isActive !== undefined && { isActive })
+        },
+        select: organizationSelect
+      });
+      if (before.isActive && !organization.isActive) {
+        await prisma.session.updateMany({
+          where: { user: { organizationId }, revokedAt: null },
+          data: { revokedAt: new Date() }
+        });
+      }
+      await recordAudit(req, {
+        action: 'organization.update',
+        entityType: 'Organization',
+        entityId: organizationId,
+        before,
+        after: organization
+      });
+      res.json(organization);
+    } catch (error) {
+      console.error('Error updating organization:', error);
+      res.status(500).json({ message: 'Error updating organization' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,14 +1,23 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 const authenticateToken = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { requirePlatformOrganization } = require('../middleware/tenant');
+const { CAP } = require('../utils/capabilities');
+const { invalidateRole, invalidateCapabilities } = require('../utils/capabilityCache');
+const { recordAudit } = require('../utils/audit');
+
+// Roles looked up by name elsewhere: registration assigns `trainee`, new
+// organizations get an `admin`, SSO provisions into SSO_DEFAULT_ROLE
+const builtInRoleNames = () => ['trainee', 'admin', process.env.SSO_DEFAULT_ROLE].filter(Boolean);
 
 // Get all roles with their capabilities
 router.get('/roles', 
   authenticateToken,
-  authorize('view_roles'),
+  authorize(CAP.VIEW_ROLES),
   async (req, res) => {
   const roles = await prisma.role.findMany({
     include: {
@@ -21,7 +30,7 @@ router.get('/roles',
 // Get all capabilities
 router.get('/capabilities', 
   authenticateToken,
-  authorize('view_capabilities'),
+  authorize(CAP.VIEW_CAPABILITIES),
   async (req, res) => {
   const capabilities = await prisma.capability.findMany();
   res.json(capabilities);
@@ -30,36 +39,321 @@ router.get('/capabilities',
 // Create a new role
 router.post('/roles', 
   authenticateToken,
-  authorize('create_roles'),
+  authorize(CAP.CREATE_ROLES),
   async (req, res) => {
   const { name } = req.body;
   const role = await prisma.role.create({ data: { name } });
+  await recordAudit(req, { action: 'role.create', entityType: 'Role', entityId: role.id, after: role });
   res.json(role);
 });
 
+// Diff the capability sets of two roles: GET /roles/diff?from=1&to=2
+router.get('/roles/diff',
+  authenticateToken,
+  authorize(CAP.VIEW_ROLES),
+  async (req, res) => {
+  const fromId = parseInt(req.query.from);
+  const toId = parseInt(req.query.to);
+  if (isNaN(fromId) || isNaN(toId)) {
+    return res.status(400).json({ message: '`from` and `to` role ids are required' });
+  }
+
+  try {
+    const roles = await prisma.role.findMany({
+      where: { id: { in: [fromId, toId] } },
+      include: { roleCapabilities: { include: { capability: true } } }
+    });
+    const from = roles.find(r => r.id === fromId);
+    const to = roles.find(r => r.id === toId);
+    if (!from || !to) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const fromCaps = new Set(from.roleCapabilities.map(rc => rc.capability.name));
+    const toCaps = new Set(to.roleCapabilities.map(rc => rc.capability.name));
+    res.json({
+      from: { id: from.id, name: from.name },
+      to: { id: to.id, name: to.name },
+      onlyInFrom: [...fromCaps].filter(name => !toCaps.has(name)).sort(),
+      onlyInTo: [...toCaps].filter(name => !fromCaps.has(name)).sort(),
+      common: [...fromCaps].filter(name => toCaps.has(name)).sort()
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error comparing roles' });
+  }
+});
+
+// Rename a role; built-in roles keep their names
+router.put('/roles/:roleId',
+  authenticateToken,
+  authorize(CAP.UPDATE_ROLES),
+  async (req, res) => {
+  const roleId = parseInt(req.params.roleId);
+  if (isNaN(roleId)) {
+    return res.status(400).json({ message: 'Invalid role ID' });
+  }
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ message: '`name` is required' });
+  }
+
+  try {
+    const existing = await prisma.role.findFirst({ where: { name } });
+    if (existing && existing.id !== roleId) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    const before = await prisma.role.findUnique({ where: { id: roleId } });
+    if (!before) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (before.name !== name && builtInRoleNames().includes(before.name)) {
+      return res.status(409).json({ message: `The built-in role "${before.name}" cannot be renamed` });
+    }
+    const role = await prisma.role.update({ where: { id: roleId }, data: { name } });
+    invalidateRole(roleId);
+    await recordAudit(req, { action: 'role.update', entityType: 'Role', entityId: roleId, before, after: role });
+    res.json(role);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    console.error(error);
+    return res.status(500).json({ message: 'Server error updating role' });
+  }
+});
+
+// Delete a role; refused for built-in roles and while users are still assigned to it
+router.delete('/roles/:roleId',
+  authenticateToken,
+  authorize(CAP.DELETE_ROLES),
+  async (req, res) => {
+  const roleId = parseInt(req.params.roleId);
+  if (isNaN(roleId)) {
+    return res.status(400).json({ message: 'Invalid role ID' });
+  }
+
+  try {
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { _count: { select: { users: true } } }
+    });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (builtInRoleNames().includes(role.name)) {
+      return res.status(409).json({ message: `The built-in role "${role.name}" cannot be deleted` });
+    }
+    if (role._count.users > 0) {
+      return res.status(409).json({
+        message: `Role is still assigned to ${role._count.users} user(s). Reassign them first.`,
+        userCount: role._count.users
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.roleCapability.deleteMany({ where: { roleId } }),
+      prisma.role.delete({ where: { id: roleId } })
+    ]);
+    invalidateRole(roleId);
+    const { _count, ...deletedRole } = role;
+    await recordAudit(req, { action: 'role.delete', entityType: 'Role', entityId: roleId, before: deletedRole });
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error deleting role' });
+  }
+});
+
+// Clone a role with all its capabilities: POST /roles/:roleId/clone { name }
+router.post('/roles/:roleId/clone',
+  authenticateToken,
+  authorize(CAP.CREATE_ROLES),
+  async (req, res) => {
+  const roleId = parseInt(req.params.roleId);
+  if (isNaN(roleId)) {
+    return res.status(400).json({ message: 'Invalid role ID' });
+  }
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ message: '`name` is required' });
+  }
+
+  try {
+    const source = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { roleCapabilities: true }
+    });
+    if (!source) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (await prisma.role.findFirst({ where: { name } })) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        requireTwoFactor: source.requireTwoFactor,
+        roleCapabilities: {
+          create: source.roleCapabilities.map(rc => ({ capabilityId: rc.capabilityId }))
+        }
+      },
+      include: { roleCapabilities: { include: { capability: true } } }
+    });
+    await recordAudit(req, {
+      action: 'role.clone',
+      entityType: 'Role',
+      entityId: role.id,
+      after: {
+        name: role.name,
+        clonedFromRoleId: roleId,
+        capabilities: role.roleCapabilities.map(rc => rc.capability.name)
+      }
+    });
+    res.status(201).json(role);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error cloning role' });
+  }
+});
+
 // Create a new capability
 router.post('/capabilities', 
   authenticateToken,
-  authorize('create_capabilities'),
+  requirePlatformOrganization,
+  authorize(CAP.CREATE_CAPABILITIES),
   async (req, res) => {
-  const { name } = req.body;
-  const capability = await prisma.capability.create({ data: { name } });
-  res.json(capability);
+  const { name, category } = req.body;
+  if (!name || !category) {
+    return res.status(400).json({ message: '`name` and `category` are required' });
+  }
+
+  try {
+    if (await prisma.capability.findUnique({ where: { name } })) {
+      return res.status(409).json({ message: 'A capability with this name already exists' });
+    }
+    const capability = await prisma.capability.create({ data: { name, category } });
+    invalidateCapabilities();
+    await recordAudit(req, { action: 'capability.create', entityType: 'Capability', entityId: capability.id, after: capability });
+    res.json(capability);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error creating capability' });
+  }
+});
+
+// Rename or recategorize a capability. Routes check capabilities by name, so
+// renaming one that is referenced in code effectively revokes it everywhere.
+router.put('/capabilities/:capabilityId',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.UPDATE_CAPABILITIES),
+  async (req, res) => {
+  const capabilityId = parseInt(req.params.capabilityId);
+  if (isNaN(capabilityId)) {
+    return res.status(400).json({ message: 'Invalid capability ID' });
+  }
+  const { name, category } = req.body;
+  if (!name && !category) {
+    return res.status(400).json({ message: 'Provide `name` and/or `category`' });
+  }
+
+  try {
+    if (name) {
+      const existing = await prisma.capability.findUnique({ where: { name } });
+      if (existing && existing.id !== capabilityId) {
+        return res.status(409).json({ message: 'A capability with this name already exists' });
+      }
+    }
+    const before = await prisma.capability.findUnique({ where: { id: capabilityId } });
+    if (!before) {
+      return res.status(404).json({ message: 'Capability not found' });
+    }
+    const capability = await prisma.capability.update({
+      where: { id: capabilityId },
+      data: {
+        ...(name && { name }),
+        ...(category && { category })
+      }
+    });
+    invalidateCapabilities();
+    await recordAudit(req, { action: 'capability.update', entityType: 'Capability', entityId: capabilityId, before, after: capability });
+    res.json(capability);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Capability not found' });
+    }
+    console.error(error);
+    return res.status(500).json({ message: 'Server error updating capability' });
+  }
 });
 
+// Delete a capability and revoke it from every role and API key
+router.delete('/capabilities/:capabilityId',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.DELETE_CAPABILITIES),
+  async (req, res) => {
+  const capabilityId = parseInt(req.params.capabilityId);
+  if (isNaN(capabilityId)) {
+    return res.status(400).json({ message: 'Invalid capability ID' });
+  }
+
+  try {
+    const capability = await prisma.capability.findUnique({ where: { id: capabilityId } });
+    if (!capability) {
+      return res.status(404).json({ message: 'Capability not found' });
+    }
+
+    await prisma.$transaction([
+      prisma.roleCapability.deleteMany({ where: { capabilityId } }),
+      prisma.capability.delete({ where: { id: capabilityId } })
+    ]);
+    invalidateCapabilities();
+    await recordAudit(req, { action: 'capability.delete', entityType: 'Capability', entityId: capabilityId, before: capability });
+    res.json({ message: 'Capability deleted' });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error deleting capability' });
+  }
+});
+
+// Parse `capabilityIds` from the body into a de-duplicated list of integers, or null if malformed
+function parseCapabilityIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(id => parseInt(id, 10));
+  return ids.some(isNaN) ? null : [...new Set(ids)];
+}
+
 // Assign or remove capability to/from a role based on granted boolean
 router.post('/roles/:roleId/capabilities', 
   authenticateToken,
-  authorize('assign_capabilities_to_role'),
+  authorize(CAP.ASSIGN_CAPABILITIES_TO_ROLE),
   async (req, res) => {
   const roleId = parseInt(req.params.roleId);
-  const { capabilityIds, granted } = req.body;  // Expect array of IDs
+  if (isNaN(roleId)) {
+    return res.status(400).json({ message: 'Invalid role ID' });
+  }
+  const { granted } = req.body;
+  const capabilityIds = parseCapabilityIds(req.body.capabilityIds);
 
-  if (!Array.isArray(capabilityIds)) {
-    return res.status(400).json({ message: '`capabilityIds` must be an array' });
+  if (!capabilityIds) {
+    return res.status(400).json({ message: '`capabilityIds` must be an array of capability IDs' });
   }
 
   try {
+    // Grants are not scoped by themselves; the role lookup keeps them within the organization
+    if (!(await prisma.role.findUnique({ where: { id: roleId } }))) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (granted) {
+      const known = await prisma.capability.findMany({ where: { id: { in: capabilityIds } }, select: { id: true } });
+      const unknownIds = capabilityIds.filter(id => !known.some(cap => cap.id === id));
+      if (unknownIds.length > 0) {
+        return res.status(404).json({ message: 'Capability not found', unknownIds });
+      }
+    }
     if (granted) {
       // Grant capabilities: create all missing
       const created = [];
@@ -74,6 +368,13 @@ router.post('/roles/:roleId/capabilities',
           created.push(rc);
         }
       }
+      invalidateRole(roleId);
+      await recordAudit(req, {
+        action: 'role.capabilities_grant',
+        entityType: 'Role',
+        entityId: roleId,
+        after: { grantedCapabilityIds: created.map(rc => rc.capabilityId) }
+      });
       return res.json({ message: 'Capabilities granted', granted: created });
     } else {
       // Revoke capabilities: delete if exists
@@ -89,6 +390,13 @@ router.post('/roles/:roleId/capabilities',
           deleted.push(capId);
         }
       }
+      invalidateRole(roleId);
+      await recordAudit(req, {
+        action: 'role.capabilities_revoke',
+        entityType: 'Role',
+        entityId: roleId,
+        after: { revokedCapabilityIds: deleted }
+      });
       return res.json({ message: 'Capabilities revoked', revoked: deleted });
     }
   } catch (error) {
@@ -97,5 +405,36 @@ router.post('/roles/:roleId/capabilities',
   }
 });
 
+// Require (or stop requiring) two-factor authentication for every user of a role
+router.put('/roles/:roleId/two-factor',
+  authenticateToken,
+  authorize(CAP.MANAGE_TWO_FACTOR_POLICY),
+  async (req, res) => {
+  const roleId = parseInt(req.params.roleId);
+  if (isNaN(roleId)) {
+    return res.status(400).json({ message: 'Invalid role ID' });
+  }
+  const { required } = req.body;
+
+  if (typeof required !== 'boolean') {
+    return res.status(400).json({ message: '`required` must be a boolean' });
+  }
+
+  try {
+    const before = await prisma.role.findUnique({ where: { id: roleId } });
+    if (!before) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    const role = await prisma.role.update({
+      where: { id: roleId },
+      data: { requireTwoFactor: required }
+    });
+    await recordAudit(req, { action: 'role.two_factor_policy', entityType: 'Role', entityId: roleId, before, after: role });
+    return res.json({ message: 'Two-factor policy updated', role });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Server error updating two-factor policy' });
+  }
+});
 
 module.exports = router;
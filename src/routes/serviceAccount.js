@@ -0,0 +1,243 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { generateApiKey } = require('../utils/apiKey');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, email: true } },
+  capabilities: { select: { capability: { select: { id: true, name: true } } } }
+};
+
+// Capabilities among `names` the caller does not hold. A service account or API key
+// must never be able to do more than the person who sets it up
+function notHeldByCaller(req, names) {
+  return names.filter(name => !authorize.hasCapability(req, name));
+}
+
+function formatApiKey(apiKey) {
+  return {
+    ...apiKey,
+    capabilities: apiKey.capabilities.map(kc => kc.capability.name)
+  };
+}
+
+// List service accounts
+router.get('/service-accounts',
+  authenticateToken,
+  authorize(CAP.MANAGE_SERVICE_ACCOUNTS),
+  async (req, res) => {
+    try {
+      const accounts = await prisma.user.findMany({
+        where: { isServiceAccount: true },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          role: { select: { id: true, name: true } },
+          isActive: true,
+          createdAt: true,
+          _count: { select: { apiKeys: true } }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+      res.json(accounts);
+    } catch (error) {
+      console.error('Error fetching service accounts:', error);
+      res.status(500).json({ message: 'Error fetching service accounts' });
+    }
+  }
+);
+
+// Create a service account (a non-interactive user that authenticates with API keys).
+// The caller must hold every capability of the role it is given
+router.post('/service-accounts',
+  authenticateToken,
+  authorize(CAP.MANAGE_SERVICE_ACCOUNTS),
+  async (req, res) => {
+    const { name, roleId } = req.body;
+    if (!name || !roleId) {
+      return res.status(400).json({ message: 'name and roleId are required' });
+    }
+
+    try {
+      const role = await prisma.role.findUnique({
+        where: { id: roleId },
+        include: { roleCapabilities: { include: { capability: true } } }
+      });
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+      const notHeld = notHeldByCaller(req, role.roleCapabilities.map(rc => rc.capability.name));
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          message: 'Service accounts can only be given roles whose capabilities you hold',
+          notHeld
+        });
+      }
+
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const account = await prisma.user.create({
+        data: {
+          email: `${slug}-${crypto.randomBytes(3).toString('hex')}@service-accounts.local`,
+          fullName: name,
+          // Service accounts cannot log in with a password
+          password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+          roleId: role.id,
+          isServiceAccount: true,
+          emailVerified: true
+        },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          role: { select: { id: true, name: true } },
+          createdAt: true
+        }
+      });
+      await recordAudit(req, { action: 'service_account.create', entityType: 'User', entityId: account.id, after: account });
+      res.status(201).json(account);
+    } catch (error) {
+      console.error('Error creating service account:', error);
+      res.status(500).json({ message: 'Error creating service account' });
+    }
+  }
+);
+
+// List API keys of a service account (never returns the key itself)
+router.get('/service-accounts/:id/api-keys',
+  authenticateToken,
+  authorize(CAP.MANAGE_SERVICE_ACCOUNTS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id);
+    try {
+      const apiKeys = await prisma.apiKey.findMany({
+        where: { userId },
+        select: apiKeySelect,
+        orderBy: { createdAt: 'desc' }
+      });
+      res.json(apiKeys.map(formatApiKey));
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      res.status(500).json({ message: 'Error fetching API keys' });
+    }
+  }
+);
+
+// Issue an API key limited to a subset of the service account's role capabilities
+// that the caller also holds
+router.post('/service-accounts/:id/api-keys',
+  authenticateToken,
+  authorize(CAP.MANAGE_SERVICE_ACCOUNTS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id);
+    const { name, capabilities, expiresAt } = req.body; // capabilities: array of capability names
+
+    if (!name || !Array.isArray(capabilities) || capabilities.length === 0) {
+      return res.status(400).json({ message: 'name and a non-empty `capabilities` array are required' });
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ message: 'expiresAt must be a valid date' });
+    }
+
+    try {
+      const account = await prisma.user.findFirst({
+        where: { id: userId, isServiceAccount: true },
+        include: {
+          role: { include: { roleCapabilities: { include: { capability: true } } } }
+        }
+      });
+      if (!account) {
+        return res.status(404).json({ message: 'Service account not found' });
+      }
+
+      const roleCapabilities = account.role ? account.role.roleCapabilities.map(rc => rc.capability) : [];
+      const notGranted = capabilities.filter(cap => !roleCapabilities.some(rc => rc.name === cap));
+      if (notGranted.length > 0) {
+        return res.status(400).json({
+          message: 'API key capabilities must be granted to the service account role',
+          notGranted
+        });
+      }
+      const notHeld = notHeldByCaller(req, capabilities);
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          message: 'API keys can only be given capabilities you hold',
+          notHeld
+        });
+      }
+
+      const { key, prefix, keyHash } = generateApiKey();
+      const apiKey = await prisma.apiKey.create({
+        data: {
+          name,
+          prefix,
+          keyHash,
+          userId,
+          createdById: req.user.userId,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          capabilities: {
+            create: roleCapabilities
+              .filter(rc => capabilities.includes(rc.name))
+              .map(rc => ({ capabilityId: rc.id }))
+          }
+        },
+        select: apiKeySelect
+      });
+
+      await recordAudit(req, {
+        action: 'api_key.create',
+        entityType: 'ApiKey',
+        entityId: apiKey.id,
+        after: { ...formatApiKey(apiKey), userId }
+      });
+
+      // The raw key is only ever shown in this response
+      res.status(201).json({ ...formatApiKey(apiKey), key });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({ message: 'Error creating API key' });
+    }
+  }
+);
+
+// Revoke an API key
+router.delete('/service-accounts/:id/api-keys/:keyId',
+  authenticateToken,
+  authorize(CAP.MANAGE_SERVICE_ACCOUNTS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id);
+    const keyId = parseInt(req.params.keyId);
+    try {
+      const { count } = await prisma.apiKey.updateMany({
+        where: { id: keyId, userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      if (count === 0) {
+        return res.status(404).json({ message: 'Active API key not found' });
+      }
+      await recordAudit(req, { action: 'api_key.revoke', entityType: 'ApiKey', entityId: keyId, after: { userId, revoked: true } });
+      res.json({ message: 'API key revoked' });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ message: 'Error revoking API key' });
+    }
+  }
+);
+
+module.exports = router;
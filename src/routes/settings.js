@@ -0,0 +1,62 @@
+const express = require('express');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { requirePlatformOrganization } = require('../middleware/tenant');
+const { CAP } = require('../utils/capabilities');
+const { isKnownSetting, settingValueError, getSetting, getAllSettings, setSetting } = require('../utils/settings');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Get effective organization settings: GET /api/settings
+router.get('/',
+  authenticateToken,
+  authorize(CAP.VIEW_SETTINGS),
+  async (req, res) => {
+    try {
+      const settings = await getAllSettings();
+      res.json(settings);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      res.status(500).json({ message: 'Error fetching settings' });
+    }
+  }
+);
+
+// Update a single setting: PUT /api/settings/:key
+// Settings apply to every organization, so only the platform organization may change them
+router.put('/:key',
+  authenticateToken,
+  requirePlatformOrganization,
+  authorize(CAP.UPDATE_SETTINGS),
+  async (req, res) => {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!isKnownSetting(key)) {
+      return res.status(404).json({ message: `Unknown setting: ${key}` });
+    }
+    const valueError = settingValueError(key, value);
+    if (valueError) {
+      return res.status(400).json({ message: valueError });
+    }
+
+    try {
+      const previous = await getSetting(key);
+      const saved = await setSetting(key, value);
+      await recordAudit(req, {
+        action: 'setting.update',
+        entityType: 'Setting',
+        entityId: key,
+        before: { value: previous },
+        after: { value: saved }
+      });
+      res.json({ key, value: saved });
+    } catch (error) {
+      console.error('Error updating setting:', error);
+      res.status(500).json({ message: 'Error updating setting' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { generators } = require('openid-client');
+const { createSession } = require('../utils/session');
+const { recordLoginAttempt } = require('../utils/loginProtection');
+const {
+  isOidcEnabled,
+  isSamlEnabled,
+  getOidcClient,
+  getSamlClient,
+  savePendingLogin,
+  takePendingLogin,
+  provisionSsoUser
+} = require('../utils/sso');
+
+const router = express.Router();
+
+// SAML IdPs POST the response as a form
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * Issue the same token pair as /api/auth/login for a provisioned SSO user.
+ * With SSO_SUCCESS_REDIRECT set the browser is sent back to the frontend
+ * with the tokens in the URL fragment; otherwise they are returned as JSON.
+ */
+async function completeSsoLogin(req, res, { user, error, code }, provider) {
+  if (error) {
+    return res.status(409).json({ code, message: error });
+  }
+
+  // Same account checks as password logins; the IdP has already proven the identity
+  let denial = null;
+  if (user.isServiceAccount) {
+    denial = { code: 'SERVICE_ACCOUNT', message: 'Service accounts must authenticate with an API key.' };
+  } else if (!user.isActive) {
+    denial = { code: 'ACCOUNT_DEACTIVATED', message: 'Your account has been deactivated.' };
+  } else if (!user.organization.isActive) {
+    denial = { code: 'ORGANIZATION_SUSPENDED', message: 'Your organization has been suspended.' };
+  } else if (user.approvalStatus === 'PENDING') {
+    denial = { code: 'ACCOUNT_PENDING_APPROVAL', message: 'Your account is awaiting administrator approval.' };
+  } else if (user.approvalStatus === 'REJECTED') {
+    denial = { code: 'ACCOUNT_REJECTED', message: 'Your account is not allowed to log in.' };
+  }
+  if (denial) {
+    await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: denial.code });
+    return res.status(403).json(denial);
+  }
+
+  await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true, reason: `SSO_${provider.toUpperCase()}` });
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  if (process.env.SSO_SUCCESS_REDIRECT) {
+    const fragment = new URLSearchParams({ token: accessToken, refreshToken }).toString();
+    return res.redirect(`${process.env.SSO_SUCCESS_REDIRECT}#${fragment}`);
+  }
+
+  res.json({
+    message: 'Login successful.',
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role?.name || user.roleId
+    }
+  });
+}
+
+// List configured SSO providers: GET /api/auth/sso/providers
+router.get('/providers', (req, res) => {
+  res.json({
+    oidc: isOidcEnabled() ? { loginUrl: '/api/auth/sso/oidc/login' } : null,
+    saml: isSamlEnabled() ? { loginUrl: '/api/auth/sso/saml/login' } : null
+  });
+});
+
+// ===== OPENID CONNECT =====
+
+// Start OIDC login (authorization code + PKCE): GET /api/auth/sso/oidc/login
+router.get('/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).json({ message: 'OIDC login is not configured' });
+  try {
+    const client = await getOidcClient();
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+    savePendingLogin(state, { nonce, codeVerifier });
+
+    res.redirect(client.authorizationUrl({
+      scope: process.env.OIDC_SCOPES || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    }));
+  } catch (error) {
+    console.error('Error starting OIDC login:', error);
+    res.status(502).json({ message: 'Identity provider unavailable' });
+  }
+});
+
+// OIDC redirect target: GET /api/auth/sso/oidc/callback
+router.get('/oidc/callback', async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).json({ message: 'OIDC login is not configured' });
+  const pending = req.query.state && takePendingLogin(req.query.state);
+  if (!pending) {
+    return res.status(400).json({ message: 'Invalid or expired SSO state. Please start the login again.' });
+  }
+  try {
+    const client = await getOidcClient();
+    const params = client.callbackParams(req);
+    const tokenSet = await client.callback(process.env.OIDC_REDIRECT_URI, params, {
+      state: req.query.state,
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier
+    });
+
+    const claims = tokenSet.claims();
+    const groupsClaim = process.env.OIDC_GROUPS_CLAIM || 'groups';
+    const provisioned = await provisionSsoUser({
+      provider: 'oidc',
+      subject: claims.sub,
+      email: claims.email,
+      // Some IdPs send the boolean as a string
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      fullName: claims.name,
+      groups: claims[groupsClaim]
+    });
+
+    await completeSsoLogin(req, res, provisioned, 'oidc');
+  } catch (error) {
+    console.error('Error completing OIDC login:', error);
+    res.status(401).json({ message: 'SSO login failed' });
+  }
+});
+
+// ===== SAML 2.0 =====
+
+// Start SAML login: GET /api/auth/sso/saml/login
+router.get('/saml/login', async (req, res) => {
+  if (!isSamlEnabled()) return res.status(404).json({ message: 'SAML login is not configured' });
+  try {
+    const url = await getSamlClient().getAuthorizeUrlAsync('', req.get('host'), {});
+    res.redirect(url);
+  } catch (error) {
+    console.error('Error starting SAML login:', error);
+    res.status(502).json({ message: 'Identity provider unavailable' });
+  }
+});
+
+// SAML assertion consumer service: POST /api/auth/sso/saml/callback
+router.post('/saml/callback', async (req, res) => {
+  if (!isSamlEnabled()) return res.status(404).json({ message: 'SAML login is not configured' });
+  try {
+    const { profile } = await getSamlClient().validatePostResponseAsync(req.body);
+    if (!profile) {
+      return res.status(401).json({ message: 'SSO login failed' });
+    }
+
+    const groupsAttribute = process.env.SAML_GROUPS_ATTRIBUTE || 'groups';
+    const emailAttribute = profile.email || profile.mail;
+    const provisioned = await provisionSsoUser({
+      provider: 'saml',
+      subject: profile.nameID,
+      email: emailAttribute || profile.nameID,
+      // SAML has no verified-email claim: trust the email attribute (never the
+      // nameID) only when the IdP is known to verify addresses
+      emailVerified: !!emailAttribute && process.env.SAML_EMAIL_VERIFIED === 'true',
+      fullName: profile.displayName || profile.cn,
+      groups: profile[groupsAttribute]
+    });
+
+    await completeSsoLogin(req, res, provisioned, 'saml');
+  } catch (error) {
+    console.error('Error completing SAML login:', error);
+    res.status(401).json({ message: 'SSO login failed' });
+  }
+});
+
+// Service provider metadata for registering with the IdP: GET /api/auth/sso/saml/metadata
+router.get('/saml/metadata', (req, res) => {
+  if (!isSamlEnabled()) return res.status(404).json({ message: 'SAML login is not configured' });
+  res.type('application/xml').send(getSamlClient().generateServiceProviderMetadata(null));
+});
+
+module.exports = router;
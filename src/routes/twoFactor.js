@@ -0,0 +1,172 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const { verifyChallengeToken } = require('../utils/session');
+const { generateEnrollment, consumeTotp, regenerateRecoveryCodes } = require('../utils/twoFactor');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+// Enrollment accepts a normal access token, or the setup token handed out by
+// /login when the user's role requires 2FA but they have not enrolled yet
+function authenticateEnrollment(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const setup = token && verifyChallengeToken(token, 'two_factor_setup');
+  if (setup) {
+    req.user = { userId: setup.userId, twoFactorSetup: true };
+    return next();
+  }
+  return authenticateToken(req, res, next);
+}
+
+// Get own 2FA status: GET /api/auth/2fa/status
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      include: { role: true }
+    });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { userId: user.id, usedAt: null }
+    });
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      requiredByRole: !!user.role?.requireTwoFactor,
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ message: 'Error fetching two-factor status' });
+  }
+});
+
+// Start enrollment and return the secret / QR code: POST /api/auth/2fa/setup
+router.post('/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await generateEnrollment(user);
+    // Stored but inactive until confirmed with a valid code via /enable
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: enrollment.encryptedSecret, twoFactorLastStep: null }
+    });
+
+    res.json({
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl,
+      qrCode: enrollment.qrCode
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ message: 'Error starting two-factor setup' });
+  }
+});
+
+// Confirm enrollment with a code from the app: POST /api/auth/2fa/enable
+router.post('/enable', authenticateEnrollment, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: 'code is required' });
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Call /setup before enabling two-factor authentication' });
+    }
+    if (!(await consumeTotp(user, code))) {
+      return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid two-factor code' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true, twoFactorEnabledAt: new Date() }
+    });
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    res.json({
+      message: req.user.twoFactorSetup
+        ? 'Two-factor authentication enabled. Log in again to continue.'
+        : 'Two-factor authentication enabled.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication' });
+  }
+});
+
+// Turn 2FA off (password + current code): POST /api/auth/2fa/disable
+router.post('/disable', authenticateToken, async (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({ message: 'password and code are required' });
+  }
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      include: { role: true }
+    });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (user.role?.requireTwoFactor) {
+      return res.status(403).json({ message: 'Your role requires two-factor authentication' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword || !(await consumeTotp(user, code))) {
+      return res.status(400).json({ message: 'Invalid password or two-factor code' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+});
+
+// Issue a fresh set of recovery codes: POST /api/auth/2fa/recovery-codes
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: 'code is required' });
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await consumeTotp(user, code))) {
+      return res.status(400).json({ code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    res.json({ message: 'Recovery codes regenerated.', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ message: 'Error regenerating recovery codes' });
+  }
+});
+
+module.exports = router;
@@ -1,49 +1,258 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const authenticateToken = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { createSession, createImpersonationSession, revokeAllSessions } = require('../utils/session');
+const { clearLockout } = require('../utils/loginProtection');
+const { invalidateUser, getUserAccess } = require('../utils/capabilityCache');
+const { recordAudit, redactAuditRecords } = require('../utils/audit');
+const { redactImportReports } = require('../utils/userImport');
+const { collectPersonalData, sendPersonalDataArchive } = require('../utils/personalDataExport');
+const { withPhotoUrls, removeProfilePhoto, photoValueError, processProfilePhoto } = require('../utils/profilePhoto');
+const {
+  validatePassword,
+  passwordPolicyError,
+  recordPasswordHistory,
+  setPassword
+} = require('../utils/passwordPolicy');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withTenantScope(new PrismaClient());
 
-// Ensure uploads directory exists
-const uploadDir = 'uploads/profiles';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+const loginHistorySelect = {
+  id: true,
+  email: true,
+  success: true,
+  reason: true,
+  ipAddress: true,
+  userAgent: true,
+  createdAt: true
+};
+
+// Fields captured in audit log snapshots of a user
+const userAuditSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  phoneNumber: true,
+  photo: true,
+  designation: true,
+  roleId: true,
+  approvalStatus: true,
+  mustChangePassword: true,
+  passwordChangedAt: true,
+  lockedUntil: true,
+  isActive: true,
+  deactivatedAt: true,
+  departmentId: true,
+  teamId: true,
+  managerId: true
+};
+
+// Personal fields of a user erased by a purge, also from earlier audit snapshots
+const PERSONAL_FIELDS = ['email', 'fullName', 'phoneNumber', 'photo', 'designation'];
+
+// Roles belong to an organization; the scoped lookup rejects roles of other tenants
+async function isAssignableRole(roleId) {
+  if (roleId === null || roleId === undefined) return true;
+  return !!(await prisma.role.findUnique({ where: { id: roleId }, select: { id: true } }));
 }
 
-// Configure Multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const filename = `user-${req.user.userId}-${Date.now()}${ext}`;
-    cb(null, filename);
+// Shared by GET /api/users/me/export and GET /api/users/:id/export
+async function exportPersonalData(req, res, userId) {
+  try {
+    const data = await collectPersonalData(userId);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const manifest = await sendPersonalDataArchive(res, data);
+    await recordAudit(req, {
+      action: 'user.data_export',
+      entityType: 'User',
+      entityId: userId,
+      after: { files: manifest.files.map(file => file.path) }
+    });
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error exporting personal data' });
+    }
   }
-});
+}
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (extname && mimetype) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only images are allowed (jpeg, jpg, png, gif)'));
+// Page through a user's login attempts (?page, ?limit, ?success=true|false)
+async function findLoginHistory(userId, query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const where = { userId };
+  if (query.success === 'true') where.success = true;
+  if (query.success === 'false') where.success = false;
+
+  const [total, attempts] = await Promise.all([
+    prisma.loginAttempt.count({ where }),
+    prisma.loginAttempt.findMany({
+      where,
+      select: loginHistorySelect,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    })
+  ]);
+
+  return { total, page, limit, data: attempts };
+}
+
+const userDirectorySelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  phoneNumber: true,
+  photo: true,
+  designation: true,
+  roleId: true,
+  role: { select: { name: true } },
+  department: { select: { id: true, name: true } },
+  team: { select: { id: true, name: true } },
+  managerId: true,
+  isActive: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const USER_SORT_FIELDS = ['id', 'email', 'fullName', 'designation', 'createdAt', 'updatedAt'];
+
+/**
+ * Turn directory query params into a Prisma query. Supported params:
+ *   q                      - free text over fullName, email and phoneNumber
+ *   roleId | role          - role id or role name
+ *   designation            - exact match, case-insensitive
+ *   courseId               - users enrolled in the course
+ *   departmentId, teamId   - members of a department or team
+ *   managerId              - direct reports of a manager
+ *   createdFrom, createdTo - ISO dates
+ *   status                 - active (default), inactive or all
+ *   sortBy, order          - one of USER_SORT_FIELDS, asc|desc (default id asc)
+ *   limit + page | cursor  - offset paging, or keyset paging after a user id
+ * Without any paging param every matching user is listed, as before paging existed.
+ * Returns { error } for invalid input.
+ */
+function parseUserDirectoryQuery(query) {
+  const { q, roleId, role, designation, courseId, createdFrom, createdTo } = query;
+  const where = {};
+
+  // Deactivated users are hidden unless asked for
+  const status = query.status || 'active';
+  if (status === 'active') where.isActive = true;
+  else if (status === 'inactive') where.isActive = false;
+  else if (status !== 'all') return { error: 'status must be one of active, inactive, all' };
+
+  if (q && q.trim()) {
+    const term = q.trim();
+    where.OR = ['fullName', 'email', 'phoneNumber'].map(field => ({
+      [field]: { contains: term, mode: 'insensitive' }
+    }));
+  }
+  if (roleId) {
+    const id = parseInt(roleId, 10);
+    if (isNaN(id)) return { error: 'Invalid roleId' };
+    where.roleId = id;
+  } else if (role) {
+    where.role = { name: role };
+  }
+  if (designation) where.designation = { equals: designation, mode: 'insensitive' };
+  if (courseId) {
+    const id = parseInt(courseId, 10);
+    if (isNaN(id)) return { error: 'Invalid courseId' };
+    where.enrollments = { some: { courseId: id } };
+  }
+  for (const field of ['departmentId', 'teamId', 'managerId']) {
+    if (!query[field]) continue;
+    const id = parseInt(query[field], 10);
+    if (isNaN(id)) return { error: `Invalid ${field}` };
+    where[field] = id;
+  }
+  if (createdFrom || createdTo) {
+    const fromDate = createdFrom ? new Date(createdFrom) : null;
+    const toDate = createdTo ? new Date(createdTo) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return { error: '`createdFrom` and `createdTo` must be valid dates' };
     }
+    where.createdAt = {
+      ...(fromDate && { gte: fromDate }),
+      ...(toDate && { lte: toDate })
+    };
   }
+
+  const sortBy = query.sortBy || 'id';
+  if (!USER_SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of ${USER_SORT_FIELDS.join(', ')}` };
+  }
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+  // Ties are broken by id so that pages (and cursors) are stable
+  const orderBy = sortBy === 'id' ? [{ id: order }] : [{ [sortBy]: order }, { id: order }];
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  let cursor = null;
+  if (query.cursor) {
+    cursor = parseInt(query.cursor, 10);
+    if (isNaN(cursor)) return { error: 'Invalid cursor' };
+  }
+  const page = cursor ? null : Math.max(parseInt(query.page, 10) || 1, 1);
+  const paged = ['limit', 'page', 'cursor'].some(param => query[param] !== undefined);
+
+  return { where, orderBy, limit, page, cursor, paged };
+}
+
+// Shared by GET /api/users and GET /api/users/search/:query. Unpaged requests
+// get the bare array existing clients expect, paged ones the { data, ... } envelope.
+async function listUserDirectory(query) {
+  const { where, orderBy, limit, page, cursor, paged } = query;
+  if (!paged) {
+    const users = await prisma.user.findMany({ where, select: userDirectorySelect, orderBy });
+    return Promise.all(users.map(withPhotoUrls));
+  }
+
+  const paging = cursor
+    ? { cursor: { id: cursor }, skip: 1, take: limit }
+    : { skip: (page - 1) * limit, take: limit };
+
+  const [total, users] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({ where, select: userDirectorySelect, orderBy, ...paging })
+  ]);
+
+  return {
+    total,
+    limit,
+    page,
+    totalPages: Math.ceil(total / limit),
+    // Pass as ?cursor= to fetch the next page; null on the last page
+    nextCursor: users.length === limit ? users[users.length - 1].id : null,
+    data: await Promise.all(users.map(withPhotoUrls))
+  };
+}
+
+// Photos are kept in memory: the file type is checked from its content and
+// only the resized copies made by processProfilePhoto are written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// Report upload problems (e.g. too large) as 400 instead of falling through to the error handler
+function uploadPhoto(req, res, next) {
+  upload.single('photo')(req, res, err => {
+    if (err) return res.status(400).json({ success: false, message: err.message });
+    next();
+  });
+}
+
 // ============================================
 // SPECIFIC ROUTES FIRST (must be before /:id)
 // ============================================
@@ -51,7 +260,7 @@ const upload = multer({
 // Get current user profile: GET /api/users/me/profile
 router.get('/me/profile',
   authenticateToken,
-  authorize('view_own_profile'),
+  authorize(CAP.VIEW_OWN_PROFILE),
   async (req, res) => {
     try {
       const userId = req.user.userId;
@@ -80,7 +289,7 @@ router.get('/me/profile',
         return res.status(404).json({ message: 'User not found' });
       }
       
-      res.json(user);
+      res.json(await withPhotoUrls(user));
     } catch (error) {
       console.error('Error fetching user profile:', error);
       res.status(500).json({ message: 'Error fetching user profile' });
@@ -91,7 +300,7 @@ router.get('/me/profile',
 // Update current user profile (text fields only): PUT /api/users/me/profile
 router.put('/me/profile',
   authenticateToken,
-  authorize('update_own_profile'),
+  authorize(CAP.UPDATE_OWN_PROFILE),
   async (req, res) => {
     try {
       const userId = req.user.userId;
@@ -121,7 +330,7 @@ router.put('/me/profile',
       res.json({
         success: true,
         message: 'Profile updated successfully',
-        data: user
+        data: await withPhotoUrls(user)
       });
     } catch (error) {
       console.error('Error updating user profile:', error);
@@ -133,11 +342,12 @@ router.put('/me/profile',
   }
 );
 
-// Upload profile photo: POST /api/users/me/photo
+// Upload profile photo: POST /api/users/me/photo (multipart, field `photo`)
+// JPEG, PNG, GIF or WebP; stored as square WebP copies, one URL per size in `photoUrls`
 router.post('/me/photo',
   authenticateToken,
-  authorize('update_own_profile'),
-  upload.single('photo'),
+  authorize(CAP.UPLOAD_PROFILE_PHOTO),
+  uploadPhoto,
   async (req, res) => {
     try {
       if (!req.file) {
@@ -148,26 +358,21 @@ router.post('/me/photo',
       }
       
       const userId = req.user.userId;
-      
-      // Delete old photo if exists
+
+      const processed = await processProfilePhoto(req.file.buffer, userId);
+      if (processed.error) {
+        return res.status(400).json({ success: false, message: processed.error });
+      }
+
       const currentUser = await prisma.user.findUnique({
         where: { id: userId },
         select: { photo: true }
       });
       
-      if (currentUser.photo && currentUser.photo.startsWith('/uploads/profiles/')) {
-        const oldPhotoPath = path.join(__dirname, '..', '..', currentUser.photo);
-        if (fs.existsSync(oldPhotoPath)) {
-          fs.unlinkSync(oldPhotoPath);
-        }
-      }
-      
-      const photoPath = `/uploads/profiles/${req.file.filename}`;
-      
       // Update user's photo field
       const user = await prisma.user.update({
         where: { id: userId },
-        data: { photo: photoPath },
+        data: { photo: processed.photo },
         select: {
           id: true,
           email: true,
@@ -181,10 +386,13 @@ router.post('/me/photo',
         }
       });
       
+      // The old photo is only removed once the new one is saved
+      await removeProfilePhoto(currentUser.photo);
+
       res.json({ 
         success: true, 
         message: 'Photo uploaded successfully',
-        data: user
+        data: await withPhotoUrls(user)
       });
     } catch (error) {
       console.error('Error uploading photo:', error);
@@ -197,30 +405,175 @@ router.post('/me/photo',
   }
 );
 
-// Search users by email (admin only): GET /api/users/search/:query
-router.get('/search/:query',
+// Change own password: PUT /api/users/me/password
+router.put('/me/password',
   authenticateToken,
-  authorize('search_users'),
+  authorize(CAP.CHANGE_OWN_PASSWORD),
   async (req, res) => {
-    const { query } = req.params;
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword and newPassword are required'
+      });
+    }
     try {
-      const users = await prisma.user.findMany({
-        where: {
-          email: { contains: query, mode: 'insensitive' }
-        },
-        select: { 
-          id: true, 
+      const userId = req.user.userId;
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: { role: true }
+      });
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const validPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!validPassword) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+      }
+
+      const passwordErrors = await validatePassword(newPassword, { userId, field: 'newPassword' });
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({ success: false, ...passwordPolicyError(passwordErrors) });
+      }
+
+      await setPassword(userId, newPassword);
+
+      // Invalidate every existing token, then keep the caller signed in on a fresh session
+      await revokeAllSessions(userId);
+      const { accessToken, refreshToken } = await createSession(user, req);
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        token: accessToken,
+        refreshToken
+      });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error changing password'
+      });
+    }
+  }
+);
+
+// Get own login history: GET /api/users/me/login-history
+router.get('/me/login-history',
+  authenticateToken,
+  authorize(CAP.VIEW_OWN_LOGIN_HISTORY),
+  async (req, res) => {
+    try {
+      const history = await findLoginHistory(req.user.userId, req.query);
+      res.json(history);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+);
+
+// Download everything held about the current user as a zip: GET /api/users/me/export
+router.get('/me/export',
+  authenticateToken,
+  authorize(CAP.EXPORT_OWN_DATA),
+  (req, res) => exportPersonalData(req, res, req.user.userId)
+);
+
+// Direct reports of the current user with their enrollments: GET /api/users/me/reports
+router.get('/me/reports',
+  authenticateToken,
+  authorize(CAP.VIEW_DIRECT_REPORTS),
+  async (req, res) => {
+    try {
+      const reports = await prisma.user.findMany({
+        where: { managerId: req.user.userId, isActive: true },
+        select: {
+          id: true,
           email: true,
           fullName: true,
-          phoneNumber: true,
-          photo: true,
           designation: true,
-          roleId: true, 
-          createdAt: true, 
-          updatedAt: true 
-        }
+          department: { select: { id: true, name: true } },
+          team: { select: { id: true, name: true } },
+          enrollments: {
+            select: { courseId: true, progress: true, completed: true, enrolledAt: true }
+          }
+        },
+        orderBy: { id: 'asc' }
       });
-      res.json(users);
+      res.json(reports);
+    } catch (error) {
+      console.error('Error fetching direct reports:', error);
+      res.status(500).json({ message: 'Error fetching direct reports' });
+    }
+  }
+);
+
+// Training status of one direct report: GET /api/users/me/reports/:reportId/training
+router.get('/me/reports/:reportId/training',
+  authenticateToken,
+  authorize(CAP.VIEW_DIRECT_REPORTS),
+  async (req, res) => {
+    const reportId = parseInt(req.params.reportId, 10);
+    if (isNaN(reportId)) return res.status(400).json({ message: 'Invalid user ID' });
+    try {
+      const report = await prisma.user.findUnique({
+        where: { id: reportId },
+        select: { id: true, email: true, fullName: true, designation: true, managerId: true }
+      });
+      // Not distinguishing "missing" from "not yours" keeps other users' existence private
+      if (!report || report.managerId !== req.user.userId) {
+        return res.status(404).json({ message: 'Direct report not found' });
+      }
+
+      const [enrollments, assessmentResults] = await Promise.all([
+        prisma.enrollment.findMany({
+          where: { userId: reportId },
+          select: {
+            course: { select: { id: true, title: true } },
+            enrolledAt: true,
+            progress: true,
+            completed: true
+          },
+          orderBy: { enrolledAt: 'asc' }
+        }),
+        prisma.assessmentSubmission.findMany({
+          where: { userId: reportId },
+          select: {
+            id: true,
+            assessment: { select: { id: true, title: true, courseId: true } },
+            attemptNumber: true,
+            status: true,
+            obtainedMarks: true,
+            totalMarks: true,
+            percentage: true,
+            isPassed: true,
+            endTime: true,
+            checkedAt: true
+          },
+          orderBy: { startTime: 'asc' }
+        })
+      ]);
+
+      res.json({ user: report, enrollments, assessmentResults });
+    } catch (error) {
+      console.error('Error fetching report training status:', error);
+      res.status(500).json({ message: 'Error fetching training status' });
+    }
+  }
+);
+
+// Search users by name, email or phone (admin only): GET /api/users/search/:query
+// Accepts the same filter, sort and paging params as GET /api/users
+router.get('/search/:query',
+  authenticateToken,
+  authorize(CAP.SEARCH_USERS),
+  async (req, res) => {
+    const query = parseUserDirectoryQuery({ ...req.query, q: req.params.query });
+    if (query.error) return res.status(400).json({ message: query.error });
+    try {
+      res.json(await listUserDirectory(query));
     } catch (error) {
       console.error('Error searching users:', error);
       res.status(500).json({ message: 'Error searching users' });
@@ -228,6 +581,32 @@ router.get('/search/:query',
   }
 );
 
+// List self-registered accounts awaiting approval: GET /api/users/pending-approval
+router.get('/pending-approval',
+  authenticateToken,
+  authorize(CAP.APPROVE_USERS),
+  async (req, res) => {
+    try {
+      const users = await prisma.user.findMany({
+        where: { approvalStatus: 'PENDING', isActive: true },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          emailVerified: true,
+          approvalStatus: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+      res.json(users);
+    } catch (error) {
+      console.error('Error fetching pending users:', error);
+      res.status(500).json({ message: 'Error fetching pending users' });
+    }
+  }
+);
+
 // ============================================
 // GENERIC ROUTES (must be after specific ones)
 // ============================================
@@ -235,17 +614,28 @@ router.get('/search/:query',
 // Create user (admin only): POST /api/users
 router.post('/',
   authenticateToken,
-  authorize('create_user'),
+  authorize(CAP.CREATE_USER),
   async (req, res) => {
-    const { email, password, roleId, fullName, phoneNumber, photo, designation } = req.body;
+    const { email, password, roleId, fullName, phoneNumber, photo, designation, mustChangePassword } = req.body;
     try {
       if (!email || !password) {
         return res.status(400).json({ message: 'Email and password are required' });
       }
+      const passwordErrors = await validatePassword(password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json(passwordPolicyError(passwordErrors));
+      }
       const existingUser = await prisma.user.findUnique({ where: { email } });
       if (existingUser) {
         return res.status(400).json({ message: 'User already exists' });
       }
+      if (!(await isAssignableRole(roleId))) {
+        return res.status(400).json({ message: 'Role not found' });
+      }
+      const photoError = photoValueError(photo);
+      if (photoError) {
+        return res.status(400).json({ message: photoError });
+      }
       const hashedPassword = await bcrypt.hash(password, 10);
       const user = await prisma.user.create({
         data: {
@@ -255,7 +645,12 @@ router.post('/',
           fullName: fullName || null,
           phoneNumber: phoneNumber || null,
           photo: photo || null,
-          designation: designation || null
+          designation: designation || null,
+          // Accounts created by an admin are trusted and skip email verification
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          passwordChangedAt: new Date(),
+          mustChangePassword: mustChangePassword === true
         },
         select: { 
           id: true, 
@@ -269,39 +664,30 @@ router.post('/',
           updatedAt: true 
         }
       });
+      await recordPasswordHistory(user.id, hashedPassword);
+      await recordAudit(req, { action: 'user.create', entityType: 'User', entityId: user.id, after: user });
       res.status(201).json(user);
     } catch (error) {
+      // Emails are unique across organizations, so the scoped lookup above can miss a clash
+      if (error.code === 'P2002') {
+        return res.status(400).json({ message: 'User already exists' });
+      }
       console.error('Error creating user:', error);
       res.status(500).json({ message: 'Error creating user' });
     }
   }
 );
 
-// List all users (admin only): GET /api/users
+// User directory (admin only): GET /api/users
+// Filters, sorting and paging are described on parseUserDirectoryQuery
 router.get('/',
   authenticateToken,
-  authorize('view_all_users'),
+  authorize(CAP.VIEW_ALL_USERS),
   async (req, res) => {
+    const query = parseUserDirectoryQuery(req.query);
+    if (query.error) return res.status(400).json({ message: query.error });
     try {
-      const users = await prisma.user.findMany({
-        select: { 
-          id: true, 
-          email: true,
-          fullName: true,
-          phoneNumber: true,
-          photo: true,
-          designation: true,
-          roleId: true, 
-          role : {
-            select : {
-              name : true
-            }
-          },
-          createdAt: true, 
-          updatedAt: true 
-        }
-      });
-      res.json(users);
+      res.json(await listUserDirectory(query));
     } catch (error) {
       console.error('Error fetching users:', error);
       res.status(500).json({ message: 'Error fetching users' });
@@ -312,7 +698,7 @@ router.get('/',
 // Get user by ID (admin only): GET /api/users/:id
 router.get('/:id',
   authenticateToken,
-  authorize('view_user_by_id'),
+  authorize(CAP.VIEW_USER_BY_ID),
   async (req, res) => {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
@@ -327,6 +713,8 @@ router.get('/:id',
           photo: true,
           designation: true,
           roleId: true, 
+          isActive: true,
+          deactivatedAt: true,
           createdAt: true, 
           updatedAt: true 
         }
@@ -334,7 +722,7 @@ router.get('/:id',
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
-      res.json(user);
+      res.json(await withPhotoUrls(user));
     } catch (error) {
       console.error('Error fetching user:', error);
       res.status(500).json({ message: 'Error fetching user' });
@@ -345,22 +733,46 @@ router.get('/:id',
 // Update user by ID (admin only): PUT /api/users/:id
 router.put('/:id',
   authenticateToken,
-  authorize('update_user'),
+  authorize(CAP.UPDATE_USER),
   async (req, res) => {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
 
     const { email, password, roleId, fullName, phoneNumber, photo, designation } = req.body;
     try {
+      if (password !== undefined) {
+        const passwordErrors = await validatePassword(password, { userId });
+        if (passwordErrors.length > 0) {
+          return res.status(400).json(passwordPolicyError(passwordErrors));
+        }
+      }
+
       const data = {};
       if (email) data.email = email;
-      if (password) data.password = await bcrypt.hash(password, 10);
-      if (roleId !== undefined) data.roleId = roleId;
+      if (password) {
+        data.password = await bcrypt.hash(password, 10);
+        data.passwordChangedAt = new Date();
+      }
+      // A role set by an admin is no longer managed by SSO group mapping
+      if (roleId !== undefined) Object.assign(data, { roleId, ssoManagedRole: false });
       if (fullName !== undefined) data.fullName = fullName;
       if (phoneNumber !== undefined) data.phoneNumber = phoneNumber;
       if (photo !== undefined) data.photo = photo;
       if (designation !== undefined) data.designation = designation;
 
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (!(await isAssignableRole(data.roleId))) {
+        return res.status(400).json({ message: 'Role not found' });
+      }
+      // Sending the stored photo back unchanged is fine; a new value must be a URL
+      const photoError = data.photo !== before.photo && photoValueError(data.photo);
+      if (photoError) {
+        return res.status(400).json({ message: photoError });
+      }
+
       const user = await prisma.user.update({
         where: { id: userId },
         data,
@@ -376,6 +788,18 @@ router.put('/:id',
           updatedAt: true 
         }
       });
+      if (data.roleId !== undefined) invalidateUser(userId);
+      if (data.password) {
+        await recordPasswordHistory(userId, data.password);
+        await revokeAllSessions(userId);
+      }
+      await recordAudit(req, {
+        action: 'user.update',
+        entityType: 'User',
+        entityId: userId,
+        before,
+        after: { ...before, ...data, ...user }
+      });
       res.json(user);
     } catch (error) {
       console.error('Error updating user:', error);
@@ -384,20 +808,244 @@ router.put('/:id',
   }
 );
 
-// Delete user by ID (admin only): DELETE /api/users/:id
+// Deactivate user by ID (admin only): DELETE /api/users/:id
+// The account is kept with its enrollments and results; it can no longer log in
 router.delete('/:id',
   authenticateToken,
-  authorize('delete_user'),
+  authorize(CAP.DELETE_USER),
   async (req, res) => {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (userId === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
 
     try {
-      await prisma.user.delete({ where: { id: userId } });
-      res.json({ message: 'User deleted successfully' });
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (!before.isActive) {
+        return res.status(409).json({ message: 'User is already deactivated' });
+      }
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { isActive: false, deactivatedAt: new Date() },
+        select: userAuditSelect
+      });
+      await revokeAllSessions(userId);
+      invalidateUser(userId);
+      await recordAudit(req, { action: 'user.deactivate', entityType: 'User', entityId: userId, before, after: user });
+      res.json({ message: 'User deactivated successfully', deactivatedAt: user.deactivatedAt });
     } catch (error) {
-      console.error('Error deleting user:', error);
-      res.status(500).json({ message: 'Error deleting user' });
+      console.error('Error deactivating user:', error);
+      res.status(500).json({ message: 'Error deactivating user' });
+    }
+  }
+);
+
+// Place a user in the hierarchy (admin only): PUT /api/users/:id/placement
+// Body: { departmentId?, teamId?, managerId? }; null clears a field, omitted fields are kept
+router.put('/:id/placement',
+  authenticateToken,
+  authorize(CAP.MANAGE_DEPARTMENTS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+    const data = {};
+    for (const field of ['departmentId', 'teamId', 'managerId']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value === null) {
+        data[field] = null;
+        continue;
+      }
+      const id = parseInt(value, 10);
+      if (isNaN(id)) return res.status(400).json({ message: `Invalid ${field}` });
+      data[field] = id;
+    }
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ message: 'Provide departmentId, teamId and/or managerId' });
+    }
+
+    try {
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (data.teamId) {
+        const team = await prisma.team.findUnique({ where: { id: data.teamId } });
+        if (!team) return res.status(404).json({ message: 'Team not found' });
+        if (data.departmentId === undefined) {
+          data.departmentId = team.departmentId;
+        } else if (data.departmentId !== team.departmentId) {
+          return res.status(400).json({ message: 'Team does not belong to that department' });
+        }
+      } else if (data.departmentId !== undefined && data.teamId === undefined && before.teamId) {
+        // Moving departments drops a team that belongs to the old one
+        const team = await prisma.team.findUnique({ where: { id: before.teamId } });
+        if (!team || team.departmentId !== data.departmentId) data.teamId = null;
+      }
+      if (data.departmentId && !(await prisma.department.findUnique({ where: { id: data.departmentId } }))) {
+        return res.status(404).json({ message: 'Department not found' });
+      }
+
+      if (data.managerId) {
+        if (data.managerId === userId) {
+          return res.status(400).json({ message: 'A user cannot be their own manager' });
+        }
+        const manager = await prisma.user.findUnique({ where: { id: data.managerId }, select: { id: true, isActive: true } });
+        if (!manager || !manager.isActive) return res.status(404).json({ message: 'Manager not found' });
+        // Walk up from the new manager; reaching this user would make a reporting loop
+        const seen = new Set();
+        let current = data.managerId;
+        while (current && !seen.has(current)) {
+          if (current === userId) {
+            return res.status(400).json({ message: 'This would create a reporting cycle' });
+          }
+          seen.add(current);
+          const next = await prisma.user.findUnique({ where: { id: current }, select: { managerId: true } });
+          current = next && next.managerId;
+        }
+      }
+
+      const user = await prisma.user.update({ where: { id: userId }, data, select: userAuditSelect });
+      await recordAudit(req, { action: 'user.placement_change', entityType: 'User', entityId: userId, before, after: user });
+      res.json({
+        id: user.id,
+        departmentId: user.departmentId,
+        teamId: user.teamId,
+        managerId: user.managerId
+      });
+    } catch (error) {
+      console.error('Error updating user placement:', error);
+      res.status(500).json({ message: 'Error updating user placement' });
+    }
+  }
+);
+
+// Download everything held about a user as a zip (admin only): GET /api/users/:id/export
+router.get('/:id/export',
+  authenticateToken,
+  authorize(CAP.EXPORT_USER_DATA),
+  (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    return exportPersonalData(req, res, userId);
+  }
+);
+
+// Reactivate a deactivated user (admin only): POST /api/users/:id/reactivate
+router.post('/:id/reactivate',
+  authenticateToken,
+  authorize(CAP.REACTIVATE_USER),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+    try {
+      const before = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { ...userAuditSelect, purgedAt: true }
+      });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (before.purgedAt) {
+        return res.status(409).json({ message: 'Purged users cannot be reactivated' });
+      }
+      if (before.isActive) {
+        return res.status(409).json({ message: 'User is already active' });
+      }
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { isActive: true, deactivatedAt: null },
+        select: userAuditSelect
+      });
+      invalidateUser(userId);
+      await recordAudit(req, { action: 'user.reactivate', entityType: 'User', entityId: userId, before, after: user });
+      res.json({ message: 'User reactivated successfully' });
+    } catch (error) {
+      console.error('Error reactivating user:', error);
+      res.status(500).json({ message: 'Error reactivating user' });
+    }
+  }
+);
+
+/**
+ * Permanently anonymize a deactivated user (GDPR erasure): POST /api/users/:id/purge
+ * Body must repeat the user's email as `confirmEmail`. Personal data, credentials
+ * and login history are removed, also from the audit records about the user and
+ * from import reports; enrollments and assessment results are kept against the
+ * anonymized account. This cannot be undone.
+ */
+router.post('/:id/purge',
+  authenticateToken,
+  authorize(CAP.PURGE_USER),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, photo: true, isActive: true, purgedAt: true }
+      });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (user.purgedAt) {
+        return res.status(409).json({ message: 'User has already been purged' });
+      }
+      if (user.isActive) {
+        return res.status(409).json({ message: 'Deactivate the user before purging' });
+      }
+      if (typeof req.body.confirmEmail !== 'string' ||
+          req.body.confirmEmail.toLowerCase() !== user.email.toLowerCase()) {
+        return res.status(400).json({ message: '`confirmEmail` must match the email of the user being purged' });
+      }
+
+      // Redacted first: if the purge below fails it can simply be run again
+      await redactAuditRecords('User', userId, PERSONAL_FIELDS);
+      await redactImportReports(user.email);
+
+      const purgedAt = new Date();
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: userId },
+          data: {
+            // Keeps the unique constraint satisfied without pointing at a real mailbox
+            email: `purged-user-${userId}@invalid`,
+            password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+            fullName: null,
+            phoneNumber: null,
+            photo: null,
+            designation: null,
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorEnabledAt: null,
+            ssoProvider: null,
+            ssoSubject: null,
+            purgedAt
+          }
+        }),
+        prisma.session.deleteMany({ where: { userId } }),
+        prisma.userToken.deleteMany({ where: { userId } }),
+        prisma.loginAttempt.deleteMany({ where: { OR: [{ userId }, { email: user.email }] } }),
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.passwordHistory.deleteMany({ where: { userId } })
+      ]);
+
+      await removeProfilePhoto(user.photo);
+      invalidateUser(userId);
+      // The record itself must not carry the personal data that was just erased
+      await recordAudit(req, { action: 'user.purge', entityType: 'User', entityId: userId, after: { purgedAt } });
+      res.json({ message: 'User purged successfully', purgedAt });
+    } catch (error) {
+      console.error('Error purging user:', error);
+      res.status(500).json({ message: 'Error purging user' });
     }
   }
 );
@@ -405,7 +1053,7 @@ router.delete('/:id',
 // Change user role by ID (admin only): PUT /api/users/:id/role
 router.put('/:id/role',
   authenticateToken,
-  authorize('change_user_role'),
+  authorize(CAP.CHANGE_USER_ROLE),
   async (req, res) => {
     const userId = parseInt(req.params.id, 10);
     const { roleId } = req.body;
@@ -414,9 +1062,16 @@ router.put('/:id/role',
       return res.status(400).json({ message: 'roleId is required' });
     }
     try {
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (!(await isAssignableRole(roleId))) {
+        return res.status(400).json({ message: 'Role not found' });
+      }
       const user = await prisma.user.update({
         where: { id: userId },
-        data: { roleId },
+        data: { roleId, ssoManagedRole: false },
         select: { 
           id: true, 
           email: true,
@@ -429,6 +1084,14 @@ router.put('/:id/role',
           updatedAt: true 
         }
       });
+      invalidateUser(userId);
+      await recordAudit(req, {
+        action: 'user.role_change',
+        entityType: 'User',
+        entityId: userId,
+        before,
+        after: { ...before, roleId: user.roleId }
+      });
       res.json(user);
     } catch (error) {
       console.error('Error updating user role:', error);
@@ -437,4 +1100,200 @@ router.put('/:id/role',
   }
 );
 
+// Approve or reject a self-registered account: PUT /api/users/:id/approval
+router.put('/:id/approval',
+  authenticateToken,
+  authorize(CAP.APPROVE_USERS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const { approved } = req.body;
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ message: '`approved` must be a boolean' });
+    }
+    try {
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { approvalStatus: approved ? 'APPROVED' : 'REJECTED' },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          emailVerified: true,
+          approvalStatus: true
+        }
+      });
+      if (!approved) await revokeAllSessions(userId);
+      await recordAudit(req, {
+        action: approved ? 'user.approve' : 'user.reject',
+        entityType: 'User',
+        entityId: userId,
+        before,
+        after: { ...before, approvalStatus: user.approvalStatus }
+      });
+      res.json(user);
+    } catch (error) {
+      console.error('Error updating user approval:', error);
+      res.status(500).json({ message: 'Error updating user approval' });
+    }
+  }
+);
+
+// Get a user's login history (admin only): GET /api/users/:id/login-history
+router.get('/:id/login-history',
+  authenticateToken,
+  authorize(CAP.VIEW_LOGIN_HISTORY),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    try {
+      const history = await findLoginHistory(userId, req.query);
+      res.json(history);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+);
+
+// Unlock an account locked by failed logins (admin only): POST /api/users/:id/unlock
+router.post('/:id/unlock',
+  authenticateToken,
+  authorize(CAP.UNLOCK_USER),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    try {
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      await clearLockout(userId);
+      await recordAudit(req, {
+        action: 'user.unlock',
+        entityType: 'User',
+        entityId: userId,
+        before,
+        after: { ...before, lockedUntil: null }
+      });
+      res.json({ message: 'User account unlocked' });
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      res.status(500).json({ message: 'Error unlocking user' });
+    }
+  }
+);
+
+// Force a password change on next login (admin only): PUT /api/users/:id/force-password-change
+router.put('/:id/force-password-change',
+  authenticateToken,
+  authorize(CAP.FORCE_PASSWORD_CHANGE),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    const required = req.body.required !== undefined ? req.body.required : true;
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: '`required` must be a boolean' });
+    }
+    try {
+      const before = await prisma.user.findUnique({ where: { id: userId }, select: userAuditSelect });
+      if (!before) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { mustChangePassword: required },
+        select: { id: true, email: true, mustChangePassword: true }
+      });
+      await recordAudit(req, {
+        action: 'user.force_password_change',
+        entityType: 'User',
+        entityId: userId,
+        before,
+        after: { ...before, mustChangePassword: required }
+      });
+      res.json(user);
+    } catch (error) {
+      console.error('Error forcing password change:', error);
+      res.status(500).json({ message: 'Error forcing password change' });
+    }
+  }
+);
+
+// Revoke all sessions of a user (admin only): DELETE /api/users/:id/sessions
+router.delete('/:id/sessions',
+  authenticateToken,
+  authorize(CAP.UPDATE_USER),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    try {
+      const { count } = await revokeAllSessions(userId);
+      await recordAudit(req, {
+        action: 'user.sessions_revoke',
+        entityType: 'User',
+        entityId: userId,
+        after: { revokedSessions: count }
+      });
+      res.json({ message: 'User sessions revoked', revokedSessions: count });
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      res.status(500).json({ message: 'Error revoking user sessions' });
+    }
+  }
+);
+
+// Act as another user to reproduce what they see (support only): POST /api/users/:id/impersonate
+// The token is short-lived and read-only; end it with POST /api/auth/impersonation/stop
+router.post('/:id/impersonate',
+  authenticateToken,
+  authorize(CAP.IMPERSONATE_USERS),
+  async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+    if (userId === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+    if (req.user.impersonatorId) {
+      return res.status(400).json({ message: 'Stop the current impersonation first' });
+    }
+    try {
+      // Look the user up through the tenant-scoped client first: the capability
+      // cache is unscoped and would reveal users of other organizations
+      const user = await prisma.user.findUnique({ where: { id: userId }, include: { role: true } });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      // Support staff must not be able to borrow each other's (or an admin's) access
+      const target = await getUserAccess(userId);
+      if (target && target.role && target.role.capabilities.has(CAP.IMPERSONATE_USERS)) {
+        return res.status(403).json({ message: 'Users who can impersonate cannot be impersonated' });
+      }
+
+      if (!user.isActive) {
+        return res.status(409).json({ message: 'Deactivated users cannot be impersonated' });
+      }
+      const { accessToken, session } = await createImpersonationSession(user, req.user.userId, req);
+      await recordAudit(req, {
+        action: 'impersonation.start',
+        entityType: 'User',
+        entityId: userId,
+        after: { sessionId: session.id, expiresAt: session.expiresAt }
+      });
+      res.status(201).json({
+        token: accessToken,
+        expiresAt: session.expiresAt,
+        user: { id: user.id, email: user.email, fullName: user.fullName, role: user.role?.name }
+      });
+    } catch (error) {
+      console.error('Error starting impersonation:', error);
+      res.status(500).json({ message: 'Error starting impersonation' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenant');
+const authenticateToken = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { CAP } = require('../utils/capabilities');
+const { IMPORT_FILE_TYPES, parseImportFile, runUserImport, startUserImportJob } = require('../utils/userImport');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+// Files with more rows than this are imported as a background job
+const syncRowLimit = () => parseInt(process.env.USER_IMPORT_SYNC_ROW_LIMIT, 10) || 200;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_FILE_TYPES.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${IMPORT_FILE_TYPES.join(' and ')} files are supported`));
+    }
+  }
+});
+
+// Report upload problems (wrong type, too large) as 400 instead of falling through to the error handler
+function uploadImportFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}
+
+/**
+ * Import users from a CSV or XLSX file: POST /api/users/import (multipart, field `file`)
+ * Columns: email (required), fullName, phoneNumber, designation, role (name),
+ * password (new users only), courses (ids or titles separated by `;`).
+ * Rows with a role need change_user_role, rows with courses need enroll_courses.
+ * `dryRun=true` validates without saving. Small files answer with the
+ * per-row report; larger ones (or `background=true`) return 202 with a job to poll.
+ */
+router.post('/',
+  authenticateToken,
+  authorize(CAP.IMPORT_USERS),
+  uploadImportFile,
+  async (req, res) => {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const background = String(req.query.background ?? req.body.background) === 'true';
+
+    try {
+      const { rows, error } = await parseImportFile(req.file.buffer, req.file.originalname);
+      if (error) return res.status(400).json({ message: error });
+      if (rows.length === 0) return res.status(400).json({ message: 'The file has no data rows' });
+
+      if (background || rows.length > syncRowLimit()) {
+        const job = await startUserImportJob(rows, { req, dryRun, fileName: req.file.originalname });
+        return res.status(202).json({
+          message: 'Import started',
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/users/import/jobs/${job.id}`
+        });
+      }
+
+      const result = await runUserImport(rows, { req, dryRun });
+      res.json({ dryRun, ...result });
+    } catch (error) {
+      console.error('Error importing users:', error);
+      res.status(500).json({ message: 'Error importing users' });
+    }
+  }
+);
+
+// Poll a background import: GET /api/users/import/jobs/:jobId
+// The per-row report is included once the job has completed
+router.get('/jobs/:jobId',
+  authenticateToken,
+  authorize(CAP.IMPORT_USERS),
+  async (req, res) => {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) return res.status(400).json({ message: 'Invalid job ID' });
+    try {
+      const job = await prisma.userImportJob.findUnique({
+        where: { id: jobId },
+        include: { createdBy: { select: { id: true, email: true, fullName: true } } }
+      });
+      if (!job) return res.status(404).json({ message: 'Import job not found' });
+      res.json(job);
+    } catch (error) {
+      console.error('Error fetching import job:', error);
+      res.status(500).json({ message: 'Error fetching import job' });
+    }
+  }
+);
+
+module.exports = router;
@@ -11,9 +11,6 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Serve uploaded files (ADD THIS LINE)
-app.use('/uploads', express.static('uploads'));
-
 // Simple test route
 app.get('/', (req, res) => {
   res.send('Backend server is running!');
@@ -29,9 +26,19 @@ app.get('/api/test', (req, res) => {
 
 // Import existing routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const ssoRoutes = require('./routes/sso');
 const roleRoutes = require('./routes/role');
 const courseRoutes = require('./routes/course');
 const userRoutes = require('./routes/user');
+const userImportRoutes = require('./routes/userImport');
+const settingsRoutes = require('./routes/settings');
+const serviceAccountRoutes = require('./routes/serviceAccount');
+const auditLogRoutes = require('./routes/auditLog');
+const departmentRoutes = require('./routes/department');
+const organizationRoutes = require('./routes/organization');
+const groupRoutes = require('./routes/group');
+const fileRoutes = require('./routes/file');
 
 // Import assessment routes
 const assessmentRoutes = require('./routes/assessment');
@@ -39,9 +46,19 @@ const assessmentAdminRoutes = require('./routes/assessmentAdmin');
 
 // Register routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api', roleRoutes);          // exposes role/capability endpoints
 app.use('/api', courseRoutes);        // exposes course endpoints, including /courses/:id/enroll
+app.use('/api/users/import', userImportRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api', serviceAccountRoutes);   // exposes /service-accounts and their API keys
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api', departmentRoutes);       // exposes /departments and /teams
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/files', fileRoutes);       // signed downloads of uploaded files (local storage)
 app.use('/api/assessments', assessmentRoutes);
 app.use('/api/assessments', assessmentAdminRoutes);
 
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./session');
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = 'tbk';
+// Skip the lastUsedAt write if the key was already touched this recently
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new raw API key: tbk_<prefix>_<secret>. The prefix is stored in
+ * clear so keys can be identified in listings; only the hash of the full key is kept.
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashToken(key) };
+}
+
+function looksLikeApiKey(value) {
+  return typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+}
+
+/**
+ * Resolve a raw key to its active ApiKey row (with capabilities and owner),
+ * or null if it is unknown, revoked or expired. Records the last use.
+ */
+async function findActiveApiKey(rawKey) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(rawKey) },
+    include: {
+      capabilities: { include: { capability: true } },
+      user: { include: { role: true, organization: { select: { isActive: true } } } }
+    }
+  });
+
+  if (!apiKey || apiKey.revokedAt || !apiKey.user.isActive || !apiKey.user.organization.isActive) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } });
+  }
+
+  return apiKey;
+}
+
+module.exports = { generateApiKey, looksLikeApiKey, findActiveApiKey };
@@ -0,0 +1,89 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Never written to the audit log, even when present on a snapshot
+const REDACTED_FIELDS = new Set(['password', 'twoFactorSecret', 'keyHash', 'tokenHash', 'refreshTokenHash']);
+
+// Copy a record into plain JSON, dropping secrets and relations we were not asked for
+function snapshot(record) {
+  if (record == null) return null;
+  const result = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (REDACTED_FIELDS.has(key) || value === undefined) continue;
+    result[key] = value instanceof Date ? value.toISOString() : value;
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Reduce two snapshots to the fields that differ. Only fields present on both
+ * sides are compared; creations and deletions (one side null) are kept whole.
+ */
+function diffSnapshots(before, after) {
+  if (!before || !after) return { before, after };
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of Object.keys(before).filter(key => key in after)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] ?? null;
+      changedAfter[key] = after[key] ?? null;
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Record who did what to which entity. `before`/`after` are the entity's
+ * state around the change; only the differing fields are stored.
+ * Failures are logged and swallowed so auditing never breaks the request.
+ */
+async function recordAudit(req, { action, entityType, entityId = null, before = null, after = null }) {
+  try {
+    const diff = diffSnapshots(snapshot(before), snapshot(after));
+    await prisma.auditLog.create({
+      data: {
+        // While impersonating, the person behind the keyboard is the impersonator
+        actorId: req.user ? req.user.impersonatorId || req.user.userId : null,
+        apiKeyId: req.user && req.user.apiKeyId ? req.user.apiKeyId : null,
+        action,
+        entityType,
+        entityId: entityId == null ? null : String(entityId),
+        before: diff.before ?? undefined,
+        after: diff.after ?? undefined,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording audit log for ${action}:`, error);
+  }
+}
+
+// Stands in for personal data erased from records that are otherwise kept
+const REDACTED = '[redacted]';
+
+/**
+ * Replace `fields` in the before/after snapshots of every audit record of an
+ * entity with REDACTED, for erasing personal data. The records, and which
+ * fields they show changing, are kept.
+ */
+async function redactAuditRecords(entityType, entityId, fields) {
+  const records = await prisma.auditLog.findMany({
+    where: { entityType, entityId: String(entityId) },
+    select: { id: true, before: true, after: true }
+  });
+  const redact = snap => Object.fromEntries(
+    Object.entries(snap).map(([key, value]) => [key, fields.includes(key) && value != null ? REDACTED : value])
+  );
+
+  const updates = records.map(record => {
+    const data = {};
+    if (record.before) data.before = redact(record.before);
+    if (record.after) data.after = redact(record.after);
+    return prisma.auditLog.update({ where: { id: record.id }, data });
+  });
+  await prisma.$transaction(updates);
+}
+
+module.exports = { REDACTED, recordAudit, diffSnapshots, redactAuditRecords };
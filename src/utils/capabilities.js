@@ -0,0 +1,126 @@
+// Registry of every capability the API checks. Routes reference capabilities
+// through CAP constants instead of string literals, authorize() rejects names
+// that are not listed here, and `npm run capabilities:sync` creates the listed
+// capabilities in the database. Add new capabilities here first.
+const CAPABILITIES = {
+  // User Profile Management
+  VIEW_OWN_PROFILE: { name: 'view_own_profile', category: 'profile' },
+  UPDATE_OWN_PROFILE: { name: 'update_own_profile', category: 'profile' },
+  UPLOAD_PROFILE_PHOTO: { name: 'upload_profile_photo', category: 'profile' },
+  CHANGE_OWN_PASSWORD: { name: 'change_own_password', category: 'profile' },
+  VIEW_OWN_LOGIN_HISTORY: { name: 'view_own_login_history', category: 'profile' },
+  EXPORT_OWN_DATA: { name: 'export_own_data', category: 'profile' },
+  // User Directory & Administration
+  SEARCH_USERS: { name: 'search_users', category: 'user administration' },
+  CREATE_USER: { name: 'create_user', category: 'user administration' },
+  VIEW_ALL_USERS: { name: 'view_all_users', category: 'user administration' },
+  VIEW_USER_BY_ID: { name: 'view_user_by_id', category: 'user administration' },
+  UPDATE_USER: { name: 'update_user', category: 'user administration' },
+  DELETE_USER: { name: 'delete_user', category: 'user administration' },
+  REACTIVATE_USER: { name: 'reactivate_user', category: 'user administration' },
+  PURGE_USER: { name: 'purge_user', category: 'user administration' },
+  EXPORT_USER_DATA: { name: 'export_user_data', category: 'user administration' },
+  CHANGE_USER_ROLE: { name: 'change_user_role', category: 'user administration' },
+  APPROVE_USERS: { name: 'approve_users', category: 'user administration' },
+  UNLOCK_USER: { name: 'unlock_user', category: 'user administration' },
+  FORCE_PASSWORD_CHANGE: { name: 'force_password_change', category: 'user administration' },
+  VIEW_LOGIN_HISTORY: { name: 'view_login_history', category: 'user administration' },
+  IMPERSONATE_USERS: { name: 'impersonate_users', category: 'user administration' },
+  IMPORT_USERS: { name: 'import_users', category: 'user administration' },
+  // Departments, teams and managers
+  VIEW_DEPARTMENTS: { name: 'view_departments', category: 'organization structure' },
+  MANAGE_DEPARTMENTS: { name: 'manage_departments', category: 'organization structure' },
+  VIEW_DIRECT_REPORTS: { name: 'view_direct_reports', category: 'organization structure' },
+  // Groups (cohorts)
+  VIEW_GROUPS: { name: 'view_groups', category: 'groups' },
+  MANAGE_GROUPS: { name: 'manage_groups', category: 'groups' },
+  // Tenants; only usable from the default (platform) organization
+  MANAGE_ORGANIZATIONS: { name: 'manage_organizations', category: 'platform' },
+  // Integrations
+  MANAGE_SERVICE_ACCOUNTS: { name: 'manage_service_accounts', category: 'integrations' },
+  // Organization Settings
+  VIEW_SETTINGS: { name: 'view_settings', category: 'settings' },
+  UPDATE_SETTINGS: { name: 'update_settings', category: 'settings' },
+  // Audit
+  VIEW_AUDIT_LOGS: { name: 'view_audit_logs', category: 'audit' },
+  // Role & Permission Management
+  VIEW_ROLES: { name: 'view_roles', category: 'role management' },
+  VIEW_CAPABILITIES: { name: 'view_capabilities', category: 'role management' },
+  CREATE_ROLES: { name: 'create_roles', category: 'role management' },
+  UPDATE_ROLES: { name: 'update_roles', category: 'role management' },
+  DELETE_ROLES: { name: 'delete_roles', category: 'role management' },
+  CREATE_CAPABILITIES: { name: 'create_capabilities', category: 'role management' },
+  UPDATE_CAPABILITIES: { name: 'update_capabilities', category: 'role management' },
+  DELETE_CAPABILITIES: { name: 'delete_capabilities', category: 'role management' },
+  ASSIGN_CAPABILITIES_TO_ROLE: { name: 'assign_capabilities_to_role', category: 'role management' },
+  MANAGE_TWO_FACTOR_POLICY: { name: 'manage_two_factor_policy', category: 'role management' },
+  // Course Catalog & Management
+  VIEW_COURSES: { name: 'view_courses', category: 'course catalog' },
+  VIEW_SINGLE_COURSE: { name: 'view_single_course', category: 'course catalog' },
+  CREATE_COURSES: { name: 'create_courses', category: 'course management' },
+  UPDATE_COURSE: { name: 'update_course', category: 'course management' },
+  DELETE_COURSE: { name: 'delete_course', category: 'course management' },
+  MANAGE_ANY_COURSE: { name: 'manage_any_course', category: 'course management' },
+  GRADE_ANY_COURSE: { name: 'grade_any_course', category: 'course management' },
+  // Enrollment Control
+  ENROLL_COURSES: { name: 'enroll_courses', category: 'enrollment' },
+  VIEW_ENROLLED_COURSES_BY_USER_ID: { name: 'view_enrolled_courses_by_user_id', category: 'enrollment' },
+  UNENROLL_COURSES: { name: 'unenroll_courses', category: 'enrollment' },
+  // Course Categories
+  VIEW_COURSE_CATEGORIES: { name: 'view_course_categories', category: 'course organization' },
+  CREATE_COURSE_CATEGORIES: { name: 'create_course_categories', category: 'course organization' },
+  // Module & Lesson Management
+  VIEW_MODULES: { name: 'view_modules', category: 'module management' },
+  CREATE_MODULES: { name: 'create_modules', category: 'module management' },
+  GET_SINGLE_MODULE: { name: 'get_single_module', category: 'module management' },
+  UPDATE_MODULE: { name: 'update_module', category: 'module management' },
+  DELETE_MODULE: { name: 'delete_module', category: 'module management' },
+  REORDER_MODULE: { name: 'reorder_module', category: 'module management' },
+  UPDATE_MODULE_COMPLETION_STATUS: { name: 'update_module_completion_status', category: 'module management' },
+  // Assessment Admin
+  CREATE_ASSESSMENTS: { name: 'create_assessments', category: 'assessment admin' },
+  VIEW_ASSESSMENTS: { name: 'view_assessments', category: 'assessment admin' },
+  VIEW_ASSESSMENT_BY_ID: { name: 'view_assessment_by_id', category: 'assessment admin' },
+  UPDATE_ASSESSMENTS: { name: 'update_assessments', category: 'assessment admin' },
+  DELETE_ASSESSMENTS: { name: 'delete_assessments', category: 'assessment admin' },
+  TOGGLE_ASSESSMENT_STATUS: { name: 'toggle_assessment_status', category: 'assessment admin' },
+  DUPLICATE_ASSESSMENT: { name: 'duplicate_assessment', category: 'assessment admin' },
+  ADD_QUESTION_TO_ASSESSMENT: { name: 'add_question_to_assessment', category: 'assessment admin' },
+  UPDATE_QUESTION: { name: 'update_question', category: 'assessment admin' },
+  DELETE_QUESTION: { name: 'delete_question', category: 'assessment admin' },
+  // Assessment Analytics
+  VIEW_ASSESSMENT_ANALYTICS: { name: 'view_assessment_analytics', category: 'assessment analytics' },
+  VIEW_ASSESSMENTS_SUBMISSIONS: { name: 'view_assessments_submissions', category: 'assessment analytics' },
+  VIEW_ASSESSMENT_ANALYTICS_COURSELEVEL: { name: 'view_assessment_analytics_courselevel', category: 'assessment analytics' },
+  // Assessment Grading
+  PENDING_GRADING: { name: 'pending_grading', category: 'assessment grading' },
+  GIVE_GRADE_TO_QUESTIONS: { name: 'give_grade_to_questions', category: 'assessment grading' },
+  // Assessment Submission Management
+  APPROVE_SUBMISSION_REVIEW: { name: 'approve_submission_review', category: 'assessment grading' },
+  VIEW_SUBMISSION_DETAILS: { name: 'view_submission_details', category: 'assessment grading' },
+  // Assessment Participation
+  VIEW_ALL_ENROLLED_ASSESSMENT: { name: 'view_all_enrolled_assessment', category: 'assessment participation' },
+  VIEW_ENROLLED_ASSESSMENT_BY_ID: { name: 'view_enrolled_assessment_by_id', category: 'assessment participation' },
+  START_TAKING_ASSESSMENT: { name: 'start_taking_assessment', category: 'assessment participation' },
+  SAVE_ANSWER: { name: 'save_answer', category: 'assessment participation' },
+  SUBMIT_ASSESSMENT: { name: 'submit_assessment', category: 'assessment participation' },
+  GET_USER_RESULT: { name: 'get_user_result', category: 'assessment participation' },
+  REVIEW_SUBMISSION: { name: 'review_submission', category: 'assessment participation' },
+  VIEW_ASSESSMENT_PROGRESS: { name: 'view_assessment_progress', category: 'assessment participation' }
+};
+
+// CAP.VIEW_OWN_PROFILE === 'view_own_profile'
+const CAP = Object.freeze(Object.fromEntries(
+  Object.entries(CAPABILITIES).map(([key, cap]) => [key, cap.name])
+));
+
+const byName = new Map(Object.values(CAPABILITIES).map(cap => [cap.name, cap]));
+const categories = new Set(Object.values(CAPABILITIES).map(cap => cap.category));
+
+const isKnownCapability = name => byName.has(name);
+const isKnownCategory = category => categories.has(category);
+
+// [{ name, category }] in declaration order
+const listCapabilities = () => Object.values(CAPABILITIES).map(cap => ({ ...cap }));
+
+module.exports = { CAP, isKnownCapability, isKnownCategory, listCapabilities };
@@ -0,0 +1,113 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// In-process caches used by authorize():
+//   users: userId -> { id, email, fullName, roleId }
+//   roles: roleId -> { id, name, capabilities: Set<string> }
+//   categories: 'all' -> Map<category, Set<capability name>>
+// Routes that change a user's role or a role's capabilities must invalidate the
+// matching entry. Entries also expire after CAPABILITY_CACHE_TTL_SECONDS so
+// changes made through another instance are picked up eventually.
+const users = new Map();
+const roles = new Map();
+const categories = new Map();
+
+const ttlMs = () => parseInt(process.env.CAPABILITY_CACHE_TTL_SECONDS || '300', 10) * 1000;
+
+// Cache the pending promise so concurrent requests share a single query
+function cached(map, key, load) {
+  const entry = map.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = load().catch(err => {
+    map.delete(key);
+    throw err;
+  });
+  map.set(key, { value, expiresAt: Date.now() + ttlMs() });
+  return value;
+}
+
+function loadUser(userId) {
+  return cached(users, userId, () => prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, fullName: true, roleId: true }
+  }));
+}
+
+function loadRole(roleId) {
+  return cached(roles, roleId, async () => {
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { roleCapabilities: { include: { capability: true } } }
+    });
+    if (!role) return null;
+    return {
+      id: role.id,
+      name: role.name,
+      capabilities: new Set(role.roleCapabilities.map(rc => rc.capability.name))
+    };
+  });
+}
+
+/**
+ * Resolve a user together with their role and its capability names.
+ * Returns null for unknown users; `role` is null for users without a role.
+ */
+async function getUserAccess(userId) {
+  const user = await loadUser(userId);
+  if (!user) {
+    // Don't keep unknown ids around
+    users.delete(userId);
+    return null;
+  }
+  const role = user.roleId ? await loadRole(user.roleId) : null;
+  return { ...user, role };
+}
+
+/**
+ * Names of every capability in a category (not just those a role holds),
+ * used to expand `category:<name>` requirements. Empty for unknown categories.
+ */
+async function getCategoryCapabilities(category) {
+  const index = await cached(categories, 'all', async () => {
+    const capabilities = await prisma.capability.findMany({ select: { name: true, category: true } });
+    const byCategory = new Map();
+    for (const cap of capabilities) {
+      if (!cap.category) continue;
+      if (!byCategory.has(cap.category)) byCategory.set(cap.category, new Set());
+      byCategory.get(cap.category).add(cap.name);
+    }
+    return byCategory;
+  });
+  return index.get(category) || new Set();
+}
+
+function invalidateUser(userId) {
+  users.delete(userId);
+}
+
+function invalidateRole(roleId) {
+  roles.delete(roleId);
+}
+
+// Call when capabilities are created, renamed, recategorized or deleted
+function invalidateCapabilities() {
+  categories.clear();
+  roles.clear();
+}
+
+function clearCapabilityCache() {
+  users.clear();
+  roles.clear();
+  categories.clear();
+}
+
+module.exports = {
+  getUserAccess,
+  getCategoryCapabilities,
+  invalidateUser,
+  invalidateRole,
+  invalidateCapabilities,
+  clearCapabilityCache
+};
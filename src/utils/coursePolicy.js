@@ -0,0 +1,72 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('./tenant');
+const { hasCapability } = require('../middleware/authorize');
+const { CAP } = require('./capabilities');
+
+const prisma = withTenantScope(new PrismaClient());
+
+// What each relation to a course allows. `anyCourse` lists the capabilities
+// that grant the action on every course regardless of relation.
+const COURSE_ACTIONS = {
+  // Edit the course, its modules, assessments and questions
+  manage: { relations: ['OWNER', 'CO_OWNER'], anyCourse: [CAP.MANAGE_ANY_COURSE] },
+  // Delete the course or change who co-owns / co-trains it
+  administer: { relations: ['OWNER'], anyCourse: [CAP.MANAGE_ANY_COURSE] },
+  // View submissions and analytics, grade and approve reviews
+  grade: { relations: ['OWNER', 'CO_OWNER', 'CO_TRAINER'], anyCourse: [CAP.MANAGE_ANY_COURSE, CAP.GRADE_ANY_COURSE] }
+};
+
+function getActionPolicy(action) {
+  const policy = COURSE_ACTIONS[action];
+  if (!policy) throw new Error(`Unknown course action: ${action}`);
+  return policy;
+}
+
+/**
+ * The relation of a user to a course: 'OWNER' (creator), 'CO_OWNER',
+ * 'CO_TRAINER' or null. Returns undefined when the course does not exist.
+ */
+async function getCourseRelation(userId, courseId) {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: {
+      createdById: true,
+      instructors: { where: { userId }, select: { role: true } }
+    }
+  });
+  if (!course) return undefined;
+  if (course.createdById === userId) return 'OWNER';
+  return course.instructors.length > 0 ? course.instructors[0].role : null;
+}
+
+/**
+ * Whether the request's user may perform `action` on a course.
+ * Resolves to undefined when the course does not exist.
+ */
+async function canAccessCourse(req, action, courseId) {
+  const policy = getActionPolicy(action);
+  const relation = await getCourseRelation(req.user.userId, courseId);
+  if (relation === undefined) return undefined;
+  return policy.anyCourse.some(name => hasCapability(req, name)) ||
+    policy.relations.includes(relation);
+}
+
+/**
+ * Prisma `where` fragment for Course limiting a listing to the courses the
+ * request's user may perform `action` on, or undefined when they may act on all.
+ */
+function accessibleCoursesWhere(req, action) {
+  const policy = getActionPolicy(action);
+  if (policy.anyCourse.some(name => hasCapability(req, name))) return undefined;
+
+  const userId = req.user.userId;
+  const instructorRoles = policy.relations.filter(relation => relation !== 'OWNER');
+  return {
+    OR: [
+      ...(policy.relations.includes('OWNER') ? [{ createdById: userId }] : []),
+      { instructors: { some: { userId, role: { in: instructorRoles } } } }
+    ]
+  };
+}
+
+module.exports = { COURSE_ACTIONS, getCourseRelation, canAccessCourse, accessibleCoursesWhere };
@@ -0,0 +1,85 @@
+const { PrismaClient } = require('@prisma/client');
+const { getSetting } = require('./settings');
+
+const prisma = new PrismaClient();
+
+async function recordLoginAttempt(req, { email, userId = null, success, reason = null }) {
+  return prisma.loginAttempt.create({
+    data: {
+      email: email || '',
+      userId,
+      success,
+      reason,
+      ipAddress: req.ip || null,
+      userAgent: req.headers['user-agent'] || null
+    }
+  });
+}
+
+/**
+ * True when this IP has exceeded the allowed number of failed logins
+ * within the configured window.
+ */
+async function isIpThrottled(ipAddress) {
+  if (!ipAddress) return false;
+  const maxAttempts = await getSetting('lockout.ipMaxAttempts');
+  const windowMinutes = await getSetting('lockout.ipWindowMinutes');
+
+  const failures = await prisma.loginAttempt.count({
+    where: {
+      ipAddress,
+      success: false,
+      createdAt: { gte: new Date(Date.now() - windowMinutes * 60 * 1000) }
+    }
+  });
+  return failures >= maxAttempts;
+}
+
+function isLocked(user) {
+  return !!user.lockedUntil && user.lockedUntil > new Date();
+}
+
+/**
+ * Count a failed password for the user, locking the account once the
+ * threshold is reached. Each consecutive lockout doubles in length.
+ * The count is incremented in the database, so concurrent failures are all
+ * counted and only one of them applies the lockout. Returns the updated user.
+ */
+async function registerFailedLogin(user) {
+  const maxAttempts = await getSetting('lockout.maxFailedAttempts');
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } }
+  });
+  if (updated.failedLoginCount < maxAttempts) return updated;
+
+  const baseMinutes = await getSetting('lockout.baseDurationMinutes');
+  const maxMinutes = await getSetting('lockout.maxDurationMinutes');
+  const minutes = Math.min(baseMinutes * 2 ** updated.lockoutCount, maxMinutes);
+
+  // A concurrent failure that already locked the account has reset the count
+  await prisma.user.updateMany({
+    where: { id: user.id, failedLoginCount: { gte: maxAttempts } },
+    data: {
+      failedLoginCount: 0,
+      lockoutCount: { increment: 1 },
+      lockedUntil: new Date(Date.now() + minutes * 60 * 1000)
+    }
+  });
+  return prisma.user.findUnique({ where: { id: user.id } });
+}
+
+async function clearLockout(userId) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lockoutCount: 0, lockedUntil: null }
+  });
+}
+
+module.exports = {
+  recordLoginAttempt,
+  isIpThrottled,
+  isLocked,
+  registerFailedLogin,
+  clearLockout
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async send({ to, subject, text }) method.
+// Pick one with MAIL_TRANSPORT; production setups register their own (SMTP, SES, ...).
+const transports = {
+  // Print the message to stdout (default for local development)
+  console: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+
+  // Write each message as a JSON file under MAIL_OUTPUT_DIR
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTPUT_DIR || 'tmp/mail';
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, filename),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+}
+
+async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  await transport.send({ from: process.env.MAIL_FROM || 'no-reply@localhost', ...message });
+}
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { getSetting } = require('./settings');
+
+const prisma = new PrismaClient();
+
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '..', 'data', 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+async function getPasswordPolicy() {
+  return {
+    minLength: await getSetting('passwordPolicy.minLength'),
+    requireUppercase: await getSetting('passwordPolicy.requireUppercase'),
+    requireLowercase: await getSetting('passwordPolicy.requireLowercase'),
+    requireDigit: await getSetting('passwordPolicy.requireDigit'),
+    requireSymbol: await getSetting('passwordPolicy.requireSymbol'),
+    historySize: await getSetting('passwordPolicy.historySize'),
+    rejectCommon: await getSetting('passwordPolicy.rejectCommon')
+  };
+}
+
+/**
+ * Check a candidate password against the configured policy.
+ * Pass `userId` to also reject the user's recent passwords.
+ * Returns a list of { field, code, message }; empty when the password is acceptable.
+ */
+async function validatePassword(password, { userId, field = 'password' } = {}) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ field, code, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('REQUIRED', 'Password is required');
+    return errors;
+  }
+
+  const policy = await getPasswordPolicy();
+
+  if (password.length < policy.minLength) {
+    fail('TOO_SHORT', `Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('MISSING_UPPERCASE', 'Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    fail('MISSING_LOWERCASE', 'Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    fail('MISSING_DIGIT', 'Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    fail('MISSING_SYMBOL', 'Password must contain a symbol');
+  }
+  if (policy.rejectCommon && COMMON_PASSWORDS.has(password.toLowerCase())) {
+    fail('COMMON_PASSWORD', 'Password is too common');
+  }
+
+  if (userId && policy.historySize > 0) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { password: true } });
+    const history = await prisma.passwordHistory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: policy.historySize
+    });
+    const previousHashes = [user?.password, ...history.map(h => h.passwordHash)].filter(Boolean);
+
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        fail('PASSWORD_REUSED', `Password must differ from your last ${policy.historySize} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Response body for a 400 caused by policy violations
+function passwordPolicyError(errors) {
+  return { message: 'Password does not meet the password policy', errors };
+}
+
+/**
+ * Remember a newly set password hash and trim history to the policy size.
+ */
+async function recordPasswordHistory(userId, passwordHash) {
+  await prisma.passwordHistory.create({ data: { userId, passwordHash } });
+
+  const historySize = Math.max(await getSetting('passwordPolicy.historySize'), 1);
+  const stale = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    skip: historySize,
+    select: { id: true }
+  });
+  if (stale.length > 0) {
+    await prisma.passwordHistory.deleteMany({ where: { id: { in: stale.map(h => h.id) } } });
+  }
+}
+
+/**
+ * Hash and store a new password for an existing user. Clears any pending
+ * forced change unless `mustChangePassword` is passed. With `expected` (a User
+ * `where` fragment) the password is only set while the user still matches it,
+ * in a single conditional update; resolves to null when they no longer do.
+ */
+async function setPassword(userId, password, { mustChangePassword = false, expected } = {}) {
+  const passwordHash = await bcrypt.hash(password, 10);
+  const data = { password: passwordHash, passwordChangedAt: new Date(), mustChangePassword };
+  let user;
+  if (expected) {
+    const { count } = await prisma.user.updateMany({ where: { ...expected, id: userId }, data });
+    if (count !== 1) return null;
+    user = await prisma.user.findUnique({ where: { id: userId }, include: { role: true } });
+  } else {
+    user = await prisma.user.update({ where: { id: userId }, data, include: { role: true } });
+  }
+  await recordPasswordHistory(userId, passwordHash);
+  return user;
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  passwordPolicyError,
+  recordPasswordHistory,
+  setPassword
+};
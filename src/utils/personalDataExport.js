@@ -0,0 +1,145 @@
+const archiver = require('archiver');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('./tenant');
+const { readProfilePhoto } = require('./profilePhoto');
+
+const prisma = withTenantScope(new PrismaClient());
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Same fields as GET /api/users/me/profile, plus account state
+const exportProfileSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  phoneNumber: true,
+  photo: true,
+  designation: true,
+  roleId: true,
+  role: { select: { id: true, name: true } },
+  emailVerified: true,
+  emailVerifiedAt: true,
+  approvalStatus: true,
+  twoFactorEnabled: true,
+  ssoProvider: true,
+  isActive: true,
+  deactivatedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Gather everything held about a user, or null if the user does not exist.
+ * Each key becomes one JSON file of the export archive, except `photoFiles`
+ * which holds the stored photo files themselves.
+ */
+async function collectPersonalData(userId) {
+  const profile = await prisma.user.findUnique({ where: { id: userId }, select: exportProfileSelect });
+  if (!profile) return null;
+
+  const [enrollments, moduleProgress, submissions, gradingHistory, loginHistory] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: { userId },
+      include: { course: { select: { id: true, title: true } } },
+      orderBy: { enrolledAt: 'asc' }
+    }),
+    prisma.moduleProgress.findMany({
+      where: { userId },
+      include: { module: { select: { id: true, title: true, courseId: true } } }
+    }),
+    prisma.assessmentSubmission.findMany({
+      where: { userId },
+      include: {
+        assessment: { select: { id: true, title: true, courseId: true } },
+        checkedByTeacher: { select: { id: true, fullName: true } },
+        answers: {
+          include: {
+            question: { select: { id: true, questionText: true, questionType: true, marks: true } },
+            selectedOption: { select: { id: true, optionText: true } }
+          }
+        }
+      },
+      orderBy: { startTime: 'asc' }
+    }),
+    // Submissions this user graded as a trainer; other people's answers are left out
+    prisma.assessmentSubmission.findMany({
+      where: { checkedBy: userId },
+      select: {
+        id: true,
+        assessmentId: true,
+        obtainedMarks: true,
+        totalMarks: true,
+        isPassed: true,
+        checkedAt: true
+      },
+      orderBy: { checkedAt: 'asc' }
+    }),
+    prisma.loginAttempt.findMany({
+      where: { userId },
+      select: { success: true, reason: true, ipAddress: true, userAgent: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  // Only uploaded photos are included; external photo URLs stay in profile.json
+  const photoFiles = await readProfilePhoto(profile.photo);
+
+  return { profile, enrollments, moduleProgress, submissions, gradingHistory, loginHistory, photoFiles };
+}
+
+const EXPORT_FILES = [
+  { key: 'profile', file: 'profile.json', description: 'Account and profile details' },
+  { key: 'enrollments', file: 'enrollments.json', description: 'Course enrollments and progress' },
+  { key: 'moduleProgress', file: 'module-progress.json', description: 'Completion status per module' },
+  { key: 'submissions', file: 'submissions.json', description: 'Assessment submissions with answers and grading' },
+  { key: 'gradingHistory', file: 'grading-history.json', description: 'Submissions graded by this user' },
+  { key: 'loginHistory', file: 'login-history.json', description: 'Login attempts' }
+];
+
+/**
+ * Stream the collected data to `res` as a zip archive: one JSON file per
+ * section, the profile photo files under photo/, and a manifest.json describing them.
+ */
+function sendPersonalDataArchive(res, data) {
+  const generatedAt = new Date();
+  const files = EXPORT_FILES.map(({ key, file, description }) => ({
+    path: file,
+    description,
+    records: Array.isArray(data[key]) ? data[key].length : 1
+  }));
+
+  for (const photo of data.photoFiles) {
+    files.push({ path: `photo/${photo.name}`, description: 'Profile photo', records: 1 });
+  }
+
+  const manifest = {
+    format: 'personal-data-export',
+    version: EXPORT_FORMAT_VERSION,
+    userId: data.profile.id,
+    generatedAt: generatedAt.toISOString(),
+    files
+  };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => {
+    console.error('Error writing personal data archive:', error);
+    res.destroy(error);
+  });
+
+  const day = generatedAt.toISOString().slice(0, 10);
+  res.attachment(`personal-data-${data.profile.id}-${day}.zip`);
+  res.type('application/zip');
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  for (const { key, file } of EXPORT_FILES) {
+    archive.append(JSON.stringify(data[key], null, 2), { name: file });
+  }
+  for (const photo of data.photoFiles) {
+    archive.append(photo.data, { name: `photo/${photo.name}` });
+  }
+
+  return archive.finalize().then(() => manifest);
+}
+
+module.exports = { collectPersonalData, sendPersonalDataArchive };
@@ -0,0 +1,145 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage, toStorageKey, fileUrl } = require('./storage');
+
+const PHOTO_KEY_PREFIX = 'profiles/';
+
+// Square sizes generated for every upload, in pixels. `photo` holds the largest.
+const PHOTO_SIZES = { small: 64, medium: 256, large: 512 };
+const LARGEST_SIZE = 'large';
+const PHOTO_FORMAT = 'webp';
+
+// Refuse images that would take huge amounts of memory to decode (~40 megapixels)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Matches keys written by processProfilePhoto, e.g. profiles/user-7-1733140000000-large.webp
+const VARIANT_PATTERN = new RegExp(`-(${Object.keys(PHOTO_SIZES).join('|')})\\.${PHOTO_FORMAT}$`);
+
+// Leading bytes of the formats we accept; the extension and client mimetype are not trusted
+const SIGNATURES = [
+  { type: 'jpeg', matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { type: 'png', matches: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', matches: buf => ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('latin1')) },
+  {
+    type: 'webp',
+    matches: buf => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+// Image type from the file's content, or null when it is not an accepted format
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = SIGNATURES.find(sig => sig.matches(buffer));
+  return signature ? signature.type : null;
+}
+
+// The stored reference of every size of a photo, keyed by size. Photos uploaded
+// before sizes were generated (or set directly by an admin) only have `original`.
+function photoVariants(photo) {
+  if (!photo) return null;
+  if (!VARIANT_PATTERN.test(photo)) return { original: photo };
+  return Object.fromEntries(
+    Object.keys(PHOTO_SIZES).map(size => [size, photo.replace(VARIANT_PATTERN, `-${size}.${PHOTO_FORMAT}`)])
+  );
+}
+
+// Signed download URL per size for a stored photo
+async function photoUrls(photo) {
+  const variants = photoVariants(photo);
+  if (!variants) return null;
+  const entries = await Promise.all(
+    Object.entries(variants).map(async ([size, value]) => [size, await fileUrl(value)])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Replace the stored `photo` reference of a user payload with a download URL
+ * (the largest size) and add `photoUrls` with one URL per size.
+ */
+async function withPhotoUrls(user) {
+  if (!user) return user;
+  const urls = await photoUrls(user.photo);
+  return { ...user, photo: urls ? urls[LARGEST_SIZE] || urls.original : null, photoUrls: urls };
+}
+
+// Storage keys of the files that make up a stored photo; external URLs have none
+function photoKeys(photo) {
+  const variants = photoVariants(photo);
+  return variants ? Object.values(variants).map(toStorageKey).filter(Boolean) : [];
+}
+
+// The files of a stored photo that still exist, as [{ name, data }]
+async function readProfilePhoto(photo) {
+  const files = await Promise.all(photoKeys(photo).map(async key => ({
+    name: path.basename(key),
+    data: await getStorage().getObject(key)
+  })));
+  return files.filter(file => file.data);
+}
+
+async function removeProfilePhoto(photo) {
+  await Promise.all(photoKeys(photo).map(key => getStorage().deleteObject(key)));
+}
+
+/**
+ * Error message for a `photo` value set directly (by an admin) rather than
+ * uploaded, or null when it is acceptable. Anything but an http(s) URL would be
+ * treated as a storage key, signed for download and deleted with the user.
+ */
+function photoValueError(photo) {
+  if (!photo || !toStorageKey(photo)) return null;
+  return '`photo` must be an http(s) URL; users upload their own photo to /api/users/me/photo';
+}
+
+/**
+ * Validate an uploaded image by its content and store the normalized sizes.
+ * EXIF orientation is applied and all metadata (EXIF, GPS, ICC comments) is
+ * dropped. Resolves to { photo } (the storage key of the largest size) or
+ * { error } for unusable files.
+ */
+async function processProfilePhoto(buffer, userId) {
+  if (!sniffImageType(buffer)) {
+    return { error: 'Only JPEG, PNG, GIF and WebP images are allowed' };
+  }
+
+  try {
+    const { width, height } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    if (!width || !height) return { error: 'The image could not be read' };
+  } catch (error) {
+    return { error: 'The image could not be read' };
+  }
+
+  const storage = getStorage();
+  const baseKey = `${PHOTO_KEY_PREFIX}user-${userId}-${Date.now()}`;
+  const written = [];
+  try {
+    for (const [size, pixels] of Object.entries(PHOTO_SIZES)) {
+      const key = `${baseKey}-${size}.${PHOTO_FORMAT}`;
+      // sharp leaves metadata out of the output unless asked to keep it
+      const resized = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(pixels, pixels, { fit: 'cover' })
+        .webp({ quality: 82 })
+        .toBuffer();
+      await storage.putObject(key, resized, { contentType: `image/${PHOTO_FORMAT}` });
+      written.push(key);
+    }
+  } catch (error) {
+    await Promise.all(written.map(key => storage.deleteObject(key).catch(() => {})));
+    throw error;
+  }
+
+  return { photo: `${baseKey}-${LARGEST_SIZE}.${PHOTO_FORMAT}` };
+}
+
+module.exports = {
+  PHOTO_SIZES,
+  sniffImageType,
+  photoUrls,
+  withPhotoUrls,
+  readProfilePhoto,
+  removeProfilePhoto,
+  photoValueError,
+  processProfilePhoto
+};
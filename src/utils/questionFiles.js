@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('./tenant');
+const { getStorage, toStorageKey, fileUrl, sanitizeFileName } = require('./storage');
+const { sniffImageType } = require('./profilePhoto');
+
+const prisma = withTenantScope(new PrismaClient());
+
+const QUESTION_KEY_PREFIX = 'questions/';
+
+// Attachments that may be uploaded; the stored content type comes from this list, not the client
+const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+// Images are stored under the extension of their sniffed type
+const IMAGE_TYPES = {
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// The files a question can carry: the column holding each and the upload size limit
+const QUESTION_FILES = {
+  image: { field: 'imageUrl', maxSize: 5 * 1024 * 1024 },
+  attachment: { field: 'attachmentUrl', maxSize: 20 * 1024 * 1024 }
+};
+
+// Matches keys written by storeQuestionFile, e.g. questions/12/attachment-<uuid>-handout.pdf
+const KEY_PATTERN = /^questions\/\d+\/(image|attachment)-[0-9a-f-]{36}(?:-(.+)|\.\w+)$/;
+
+// Only files uploaded through storeQuestionFile are ever deleted
+const isUploadedFile = value => Boolean(value) && KEY_PATTERN.test(toStorageKey(value) || '');
+
+/**
+ * Validate an uploaded question file and store it. Images are checked by their
+ * content, attachments by their extension. Resolves to { value } (the storage
+ * key to save on the question) or { error } for unusable files.
+ */
+async function storeQuestionFile(questionId, kind, file) {
+  let key;
+  let contentType;
+  if (kind === 'image') {
+    const type = sniffImageType(file.buffer);
+    if (!type) return { error: 'Only JPEG, PNG, GIF and WebP images are allowed' };
+    key = `${QUESTION_KEY_PREFIX}${questionId}/image-${crypto.randomUUID()}.${type}`;
+    contentType = IMAGE_TYPES[`.${type}`];
+  } else {
+    contentType = ATTACHMENT_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (!contentType) return { error: `Unsupported file type. Allowed: ${Object.keys(ATTACHMENT_TYPES).join(', ')}` };
+    key = `${QUESTION_KEY_PREFIX}${questionId}/attachment-${crypto.randomUUID()}-${sanitizeFileName(file.originalname)}`;
+  }
+
+  await getStorage().putObject(key, file.buffer, { contentType });
+  return { value: key };
+}
+
+// The file route redirects to a signed URL that is followed right away
+const REDIRECT_URL_TTL_SECONDS = 60;
+
+/**
+ * Signed download URL of a stored question file, or null for external links.
+ * Attachments download under the name they were uploaded with. Only hand it to
+ * callers whose access to the question was checked.
+ */
+async function questionFileUrl(kind, value, { expiresIn } = {}) {
+  const key = toStorageKey(value);
+  if (!key) return null;
+  const match = key.match(KEY_PATTERN);
+  const downloadName = kind === 'attachment' ? (match && match[2]) || path.basename(key) : undefined;
+  return fileUrl(key, { expiresIn, downloadName });
+}
+
+/**
+ * Delete uploaded files no question refers to anymore. Call after the rows
+ * have been updated or deleted: duplicated assessments share their files.
+ */
+async function releaseQuestionFiles(values) {
+  const uploaded = [...new Set(values.filter(isUploadedFile))];
+  await Promise.all(uploaded.map(async value => {
+    const stillUsed = await prisma.question.count({
+      where: { OR: [{ imageUrl: value }, { attachmentUrl: value }] }
+    });
+    if (!stillUsed) await getStorage().deleteObject(toStorageKey(value));
+  }));
+}
+
+// The uploaded files of a set of questions, for releaseQuestionFiles
+function questionFileValues(questions) {
+  return questions.flatMap(q => Object.values(QUESTION_FILES).map(({ field }) => q[field]));
+}
+
+/**
+ * URLs clients load a question's files from. Uploaded files go through
+ * GET /api/assessments/questions/:id/:kind, which checks the caller may see the
+ * question; links to external sites are returned as they were entered.
+ */
+function questionFileUrls(question) {
+  return Object.fromEntries(Object.entries(QUESTION_FILES).map(([kind, { field }]) => {
+    const value = question[field];
+    if (!value) return [field, null];
+    return [field, toStorageKey(value) ? `/api/assessments/questions/${question.id}/${kind}` : value];
+  }));
+}
+
+/**
+ * Whether a value a client sent back is a URL it was given for the question's
+ * stored file of `kind`: the access-checked route or a signed URL of the key.
+ */
+function isQuestionFileUrl(question, kind, value) {
+  const { field } = QUESTION_FILES[kind];
+  const key = toStorageKey(question[field]);
+  if (!key || typeof value !== 'string') return false;
+  if (value === questionFileUrls(question)[field]) return true;
+  try {
+    const { pathname } = new URL(value, 'http://localhost');
+    return decodeURIComponent(pathname).endsWith(`/${key}`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Like questionFileUrls, but uploaded files get signed URLs that work without
+ * an Authorization header (e.g. in `<img src>`). For payloads served to users
+ * whose access to the question has just been checked.
+ */
+async function signedQuestionFileUrls(question) {
+  const entries = await Promise.all(Object.entries(QUESTION_FILES).map(async ([kind, { field }]) => {
+    const value = question[field];
+    return [field, toStorageKey(value) ? await questionFileUrl(kind, value) : value || null];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Question fields set from JSON may only link to other sites; files are uploaded separately
+function linkedFileError(field, value) {
+  if (!value || !toStorageKey(value)) return null;
+  return `\`${field}\` must be an http(s) URL; upload files to the question's image or attachment endpoint`;
+}
+
+module.exports = {
+  QUESTION_FILES,
+  REDIRECT_URL_TTL_SECONDS,
+  storeQuestionFile,
+  questionFileUrl,
+  releaseQuestionFiles,
+  questionFileValues,
+  questionFileUrls,
+  isQuestionFileUrl,
+  signedQuestionFileUrls,
+  linkedFileError
+};
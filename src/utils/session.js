@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Env is read lazily: this module is loaded before dotenv.config() runs in server.js
+const accessTokenTtl = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const impersonationTtlMinutes = () => parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * Payload keeps the { userId, role } shape the routes already rely on;
+ * `org` is the user's organization, which scopes every query of the request.
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, role: user.role?.name || user.roleId, sid: sessionId, org: user.organizationId },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+/**
+ * Open a new session for a user and return the token pair.
+ * Only the SHA-256 hash of the refresh token is persisted.
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    accessToken: signAccessToken(user, session.id),
+    refreshToken,
+    session
+  };
+}
+
+/**
+ * Open a time-boxed session in which `impersonatorId` acts as `user`.
+ * Only an access token is issued (its `imp` claim marks it as impersonated);
+ * the session cannot be refreshed and ends when the token expires or is stopped.
+ */
+async function createImpersonationSession(user, impersonatorId, req) {
+  const ttlMinutes = impersonationTtlMinutes();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      impersonatorId,
+      // Nobody receives this refresh token, so the session can never be rotated
+      refreshTokenHash: hashToken(generateRefreshToken()),
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }
+  });
+
+  const accessToken = jwt.sign(
+    {
+      userId: user.id,
+      role: user.role?.name || user.roleId,
+      sid: session.id,
+      org: user.organizationId,
+      imp: impersonatorId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ttlMinutes * 60 }
+  );
+  return { accessToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented refresh token is rotated out; returns null if it is unknown,
+ * expired or belongs to a revoked session.
+ */
+async function rotateSession(refreshToken) {
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+    include: { user: { include: { role: true } } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || session.impersonatorId || !session.user.isActive) {
+    return null;
+  }
+
+  // Conditional update so the same refresh token cannot be rotated twice by
+  // concurrent requests; the loser finds the hash already replaced
+  const nextRefreshToken = generateRefreshToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date()
+    }
+  });
+  if (count !== 1) return null;
+
+  const updated = await prisma.session.findUnique({ where: { id: session.id } });
+  return {
+    accessToken: signAccessToken(session.user, updated.id),
+    refreshToken: nextRefreshToken,
+    session: updated,
+    user: session.user
+  };
+}
+
+async function revokeSession(sessionId) {
+  // Prisma drops `id: undefined` from the filter, which would revoke every session
+  if (!sessionId) throw new Error('revokeSession requires a session id');
+  return prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+async function revokeAllSessions(userId) {
+  return prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+async function isSessionActive(sessionId) {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  });
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded while
+ * something else is still required: 'two_factor_login' (code needed),
+ * 'two_factor_setup' (role policy requires enrollment) or 'password_change'
+ * (admin forced a new password). These tokens carry no session id, so
+ * authenticateToken never accepts them as access tokens. `claims` are signed
+ * along, e.g. account state the token must stay bound to.
+ */
+function signChallengeToken(userId, purpose, claims = {}) {
+  return jwt.sign({ ...claims, userId, purpose }, process.env.JWT_SECRET, { expiresIn: '10m' });
+}
+
+function verifyChallengeToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  signChallengeToken,
+  verifyChallengeToken
+};
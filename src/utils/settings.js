@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Organization-wide settings and their defaults. Only keys listed here can be stored.
+const DEFAULT_SETTINGS = {
+  // Hold self-registered accounts in PENDING until an admin approves them
+  'registration.requireApproval': false,
+  // Failed passwords before an account is locked
+  'lockout.maxFailedAttempts': 5,
+  // First lockout length; doubles on each consecutive lockout up to the max
+  'lockout.baseDurationMinutes': 5,
+  'lockout.maxDurationMinutes': 24 * 60,
+  // Failed logins allowed from one IP within the window, across all accounts
+  'lockout.ipMaxAttempts': 20,
+  'lockout.ipWindowMinutes': 15,
+  // Password policy applied whenever a password is set
+  'passwordPolicy.minLength': 8,
+  'passwordPolicy.requireUppercase': true,
+  'passwordPolicy.requireLowercase': true,
+  'passwordPolicy.requireDigit': true,
+  'passwordPolicy.requireSymbol': false,
+  // Number of previous passwords that may not be reused (0 disables the check)
+  'passwordPolicy.historySize': 5,
+  'passwordPolicy.rejectCommon': true
+};
+
+function isKnownSetting(key) {
+  return Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key);
+}
+
+/**
+ * Error message for a value that cannot be stored under `key`, or null.
+ * Values must have the default's type; lockout thresholds and durations must
+ * also be positive whole numbers, as 0, fractions or negatives break the lockout.
+ * Other numbers (password length and history size) are counts that may be 0.
+ */
+function settingValueError(key, value) {
+  if (value === undefined || typeof value !== typeof DEFAULT_SETTINGS[key]) {
+    return `value must be of type ${typeof DEFAULT_SETTINGS[key]}`;
+  }
+  if (key.startsWith('lockout.') && !(Number.isInteger(value) && value > 0)) {
+    return 'value must be a positive integer';
+  }
+  if (typeof value === 'number' && !(Number.isInteger(value) && value >= 0)) {
+    return 'value must be a non-negative integer';
+  }
+  return null;
+}
+
+async function getSetting(key) {
+  const row = await prisma.setting.findUnique({ where: { key } });
+  return row ? row.value : DEFAULT_SETTINGS[key];
+}
+
+/**
+ * Effective value of every known setting (stored value, else default).
+ */
+async function getAllSettings() {
+  const rows = await prisma.setting.findMany();
+  const stored = Object.fromEntries(rows.map(row => [row.key, row.value]));
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+async function setSetting(key, value) {
+  const row = await prisma.setting.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value }
+  });
+  return row.value;
+}
+
+module.exports = { DEFAULT_SETTINGS, isKnownSetting, settingValueError, getSetting, getAllSettings, setSetting };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Issuer } = require('openid-client');
+const { SAML } = require('@node-saml/node-saml');
+const { PrismaClient } = require('@prisma/client');
+const { invalidateUser } = require('./capabilityCache');
+const { DEFAULT_ORGANIZATION_ID } = require('./tenant');
+
+const prisma = new PrismaClient();
+
+// All SSO configuration comes from env. test/sso.test.js runs the OIDC flow
+// against an in-process mock IdP (test/support/mockOidcProvider.js). Set
+// SAML_EMAIL_VERIFIED=true only for IdPs that verify the email attribute.
+const isOidcEnabled = () => !!(process.env.OIDC_ISSUER_URL && process.env.OIDC_CLIENT_ID);
+const isSamlEnabled = () => !!(process.env.SAML_ENTRY_POINT && process.env.SAML_IDP_CERT);
+
+let oidcClientPromise = null;
+let samlClient = null;
+
+function getOidcClient() {
+  if (!oidcClientPromise) {
+    oidcClientPromise = Issuer.discover(process.env.OIDC_ISSUER_URL)
+      .then(issuer => new issuer.Client({
+        client_id: process.env.OIDC_CLIENT_ID,
+        client_secret: process.env.OIDC_CLIENT_SECRET,
+        redirect_uris: [process.env.OIDC_REDIRECT_URI],
+        response_types: ['code']
+      }))
+      .catch(err => {
+        // Retry discovery on the next request instead of caching the failure
+        oidcClientPromise = null;
+        throw err;
+      });
+  }
+  return oidcClientPromise;
+}
+
+function getSamlClient() {
+  if (!samlClient) {
+    samlClient = new SAML({
+      entryPoint: process.env.SAML_ENTRY_POINT,
+      issuer: process.env.SAML_ISSUER || 'training-backend',
+      callbackUrl: process.env.SAML_CALLBACK_URL,
+      idpCert: process.env.SAML_IDP_CERT,
+      // Assertions must always be signed; many IdPs do not also sign the outer response
+      wantAuthnResponseSigned: process.env.SAML_WANT_RESPONSE_SIGNED === 'true'
+    });
+  }
+  return samlClient;
+}
+
+// Pending OIDC logins (state -> nonce + PKCE verifier). Kept in process memory,
+// so the login and callback must hit the same instance.
+const pendingLogins = new Map();
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+function savePendingLogin(state, data) {
+  const now = Date.now();
+  for (const [key, value] of pendingLogins) {
+    if (value.expiresAt < now) pendingLogins.delete(key);
+  }
+  pendingLogins.set(state, { ...data, expiresAt: now + PENDING_LOGIN_TTL_MS });
+}
+
+function takePendingLogin(state) {
+  const data = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!data || data.expiresAt < Date.now()) return null;
+  return data;
+}
+
+/**
+ * Resolve the role name for a set of IdP groups using SSO_GROUP_ROLE_MAP,
+ * a JSON object of { "<idp group>": "<role name>" }. Entries are checked in
+ * order, so list the most privileged mapping first. Returns null if no group matches.
+ */
+function mapGroupsToRoleName(groups) {
+  const map = JSON.parse(process.env.SSO_GROUP_ROLE_MAP || '{}');
+  const groupSet = new Set((Array.isArray(groups) ? groups : [groups]).filter(Boolean));
+  for (const [group, roleName] of Object.entries(map)) {
+    if (groupSet.has(group)) return roleName;
+  }
+  return null;
+}
+
+/**
+ * Find or create the local user for an IdP identity (just-in-time provisioning).
+ * Resolves to { user }, or { error, code } when the identity cannot be used.
+ *
+ * An existing local account is linked by email only when the IdP asserts the
+ * address is verified, and never if it is already linked to another identity.
+ * SSO_GROUP_ROLE_MAP only changes roles that SSO chose itself (ssoManagedRole):
+ * linked local accounts and users whose role an admin changed keep theirs.
+ */
+async function provisionSsoUser({ provider, subject, email, emailVerified, fullName, groups }) {
+  if (!subject || !email) {
+    throw new Error('IdP response is missing the subject or email claim');
+  }
+
+  let user = await prisma.user.findUnique({
+    where: { ssoProvider_ssoSubject: { ssoProvider: provider, ssoSubject: subject } }
+  });
+  if (!user) {
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing && !emailVerified) {
+      return {
+        code: 'SSO_EMAIL_NOT_VERIFIED',
+        error: 'An account with this email already exists and your identity provider has not verified the address.'
+      };
+    }
+    if (existing && existing.ssoSubject) {
+      return {
+        code: 'SSO_ACCOUNT_LINKED',
+        error: 'An account with this email is already linked to another single sign-on identity.'
+      };
+    }
+    user = existing;
+  }
+
+  // Roles are per organization; new SSO users join the default one
+  const organizationId = user ? user.organizationId : DEFAULT_ORGANIZATION_ID;
+  const findRole = name => prisma.role.findUnique({ where: { organizationId_name: { organizationId, name } } });
+  const mappedRoleName = mapGroupsToRoleName(groups);
+  const mappedRole = mappedRoleName ? await findRole(mappedRoleName) : null;
+
+  if (user) {
+    const syncRole = user.ssoManagedRole && mappedRole && mappedRole.id !== user.roleId;
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        ssoProvider: provider,
+        ssoSubject: subject,
+        ...(fullName && !user.fullName && { fullName }),
+        ...(syncRole && { roleId: mappedRole.id }),
+        // The IdP vouches for the address
+        ...(emailVerified && !user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+      },
+      include: { role: true, organization: { select: { isActive: true } } }
+    });
+    if (syncRole) invalidateUser(user.id);
+    return { user: updated };
+  }
+
+  const defaultRole = mappedRole || await findRole(process.env.SSO_DEFAULT_ROLE || 'trainee');
+
+  const created = await prisma.user.create({
+    data: {
+      email,
+      fullName: fullName || null,
+      // SSO users never log in with a local password; store an unguessable one
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+      roleId: defaultRole ? defaultRole.id : null,
+      ssoManagedRole: true,
+      ssoProvider: provider,
+      ssoSubject: subject,
+      emailVerified: !!emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : null
+    },
+    include: { role: true, organization: { select: { isActive: true } } }
+  });
+  return { user: created };
+}
+
+module.exports = {
+  isOidcEnabled,
+  isSamlEnabled,
+  getOidcClient,
+  getSamlClient,
+  savePendingLogin,
+  takePendingLogin,
+  provisionSsoUser
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage for everything users upload (profile photos, module materials,
+ * question files). Objects are addressed by a key such as
+ * `profiles/user-7-1733140000000-large.webp` and only ever handed out through
+ * signed, expiring URLs.
+ *
+ *   STORAGE_DRIVER=local (default)  files under STORAGE_LOCAL_DIR (default ./uploads),
+ *                                    served by GET /api/files/<key>?expires=&signature=
+ *   STORAGE_DRIVER=s3               any S3-compatible service (AWS, MinIO, ...):
+ *                                    S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *                                    S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE=true for MinIO
+ *
+ * Every driver provides putObject(key, body, { contentType }), getObject(key)
+ * (Buffer, or null when missing), deleteObject(key) and
+ * getSignedUrl(key, { expiresIn, downloadName }).
+ */
+
+const FILES_URL_PREFIX = '/api/files/';
+
+// Lifetime of signed URLs unless a caller asks for another one
+const signedUrlTtl = () => parseInt(process.env.STORAGE_URL_TTL_SECONDS, 10) || 15 * 60;
+
+function signingKey() {
+  return process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+}
+
+function signature(key, expires, downloadName) {
+  return crypto.createHmac('sha256', signingKey())
+    .update(`${key}\n${expires}\n${downloadName || ''}`)
+    .digest('base64url');
+}
+
+// Keys are generated by the server, but never let one escape its prefix
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => part === '..' || part === '')) {
+    throw new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+  }
+}
+
+// ===== LOCAL DISK =====
+
+function createLocalDriver() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const filePath = key => {
+    assertValidKey(key);
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+    filePath,
+
+    async putObject(key, body) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    async getObject(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+
+    async getSignedUrl(key, { expiresIn = signedUrlTtl(), downloadName } = {}) {
+      assertValidKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires) });
+      if (downloadName) query.set('name', downloadName);
+      query.set('signature', signature(key, expires, downloadName));
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${FILES_URL_PREFIX}${encodedKey}?${query}`;
+    }
+  };
+}
+
+/**
+ * Check a URL produced by the local driver. `query` is the request's query
+ * string object; returns true while the URL is unexpired and untampered.
+ */
+function verifySignedUrl(key, query) {
+  const expires = parseInt(query.expires, 10);
+  if (isNaN(expires) || expires < Date.now() / 1000 || typeof query.signature !== 'string') return false;
+  const expected = Buffer.from(signature(key, expires, query.name));
+  const given = Buffer.from(query.signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// ===== S3-COMPATIBLE =====
+
+function createS3Driver() {
+  // Loaded only when selected so local setups do not pay for the SDK
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted services do not support bucket subdomains
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    })
+  });
+
+  return {
+    name: 's3',
+
+    async putObject(key, body, { contentType } = {}) {
+      assertValidKey(key);
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    async getObject(key) {
+      assertValidKey(key);
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      assertValidKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getSignedUrl(key, { expiresIn = signedUrlTtl(), downloadName } = {}) {
+      assertValidKey(key);
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ...(downloadName && {
+          ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`
+        })
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+}
+
+// ===== DRIVER SELECTION =====
+
+const DRIVERS = { local: createLocalDriver, s3: createS3Driver };
+
+// Created on first use: the environment is loaded after modules are required
+let driver = null;
+
+function getStorage() {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[name]) throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    driver = DRIVERS[name]();
+  }
+  return driver;
+}
+
+// Stored file references are storage keys; anything with a scheme is an external URL kept as-is
+const isExternalUrl = value => /^https?:\/\//i.test(value);
+
+// Files saved before the storage layer were referenced by their public /uploads path
+const LEGACY_UPLOADS_PREFIX = '/uploads/';
+
+// Storage key of a stored file reference, or null for external URLs and other paths
+function toStorageKey(value) {
+  if (!value || isExternalUrl(value)) return null;
+  if (value.startsWith(LEGACY_UPLOADS_PREFIX)) return value.slice(LEGACY_UPLOADS_PREFIX.length);
+  return value.startsWith('/') ? null : value;
+}
+
+/**
+ * URL a client can download a stored file from: a signed URL for storage keys,
+ * the value itself for external URLs, null for empty values.
+ */
+async function fileUrl(value, options) {
+  if (!value) return null;
+  const key = toStorageKey(value);
+  return key ? getStorage().getSignedUrl(key, options) : value;
+}
+
+// Safe-ish file name component for storage keys: keeps letters, digits, dots and dashes
+function sanitizeFileName(fileName) {
+  const cleaned = path.basename(fileName || '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+/, '');
+  return cleaned.slice(-100) || 'file';
+}
+
+module.exports = {
+  getStorage,
+  verifySignedUrl,
+  toStorageKey,
+  fileUrl,
+  sanitizeFileName
+};
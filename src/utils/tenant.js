@@ -0,0 +1,246 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Created by the add_organizations migration; owns all pre-existing data,
+// self-registered and SSO users, and is the only tenant that may manage others
+const DEFAULT_ORGANIZATION_ID = 1;
+
+const tenantStorage = new AsyncLocalStorage();
+
+/**
+ * How each model is tied to an organization. Models with their own
+ * organizationId column are filtered on it directly; the rest are reached
+ * through the relation to their owner. Models not listed (Capability,
+ * Setting, Organization) are shared by every tenant.
+ */
+const byOrganization = organizationId => ({ organizationId });
+const byCourse = organizationId => ({ course: { organizationId } });
+const byUser = organizationId => ({ user: { organizationId } });
+
+const TENANT_SCOPES = {
+  User: byOrganization,
+  Role: byOrganization,
+  Course: byOrganization,
+  Course_Category: byOrganization,
+  Department: byOrganization,
+  Team: organizationId => ({ department: { organizationId } }),
+  Group: byOrganization,
+  GroupMember: organizationId => ({ group: { organizationId } }),
+  GroupCourse: organizationId => ({ group: { organizationId } }),
+  RoleCapability: organizationId => ({ role: { organizationId } }),
+  CourseInstructor: byCourse,
+  Module: byCourse,
+  Enrollment: byCourse,
+  Assessment: byCourse,
+  ModuleProgress: organizationId => ({ module: { course: { organizationId } } }),
+  ModuleMaterial: organizationId => ({ module: { course: { organizationId } } }),
+  Question: organizationId => ({ assessment: { course: { organizationId } } }),
+  QuestionOption: organizationId => ({ question: { assessment: { course: { organizationId } } } }),
+  AssessmentSubmission: organizationId => ({ assessment: { course: { organizationId } } }),
+  SubmissionAnswer: organizationId => ({ submission: { assessment: { course: { organizationId } } } }),
+  Session: byUser,
+  UserToken: byUser,
+  LoginAttempt: byUser,
+  RecoveryCode: byUser,
+  PasswordHistory: byUser,
+  ApiKey: byUser,
+  ApiKeyCapability: organizationId => ({ apiKey: { user: { organizationId } } }),
+  AuditLog: organizationId => ({ actor: { organizationId } }),
+  UserImportJob: organizationId => ({ createdBy: { organizationId } })
+};
+
+/**
+ * Relations of each tenant-owned model to other tenant-owned rows, as
+ * relation field -> [model, foreign key column]. Many-to-many relations have
+ * no column. Writes may only point these at rows of the current organization.
+ */
+const byUserId = { user: ['User', 'userId'] };
+const TENANT_REFERENCES = {
+  User: {
+    role: ['Role', 'roleId'],
+    department: ['Department', 'departmentId'],
+    team: ['Team', 'teamId'],
+    manager: ['User', 'managerId']
+  },
+  Team: { department: ['Department', 'departmentId'] },
+  GroupMember: { group: ['Group', 'groupId'], ...byUserId },
+  GroupCourse: { group: ['Group', 'groupId'], course: ['Course', 'courseId'] },
+  RoleCapability: { role: ['Role', 'roleId'] },
+  Course: { createdBy: ['User', 'createdById'], categories: ['Course_Category'] },
+  Course_Category: { courses: ['Course'] },
+  CourseInstructor: { course: ['Course', 'courseId'], ...byUserId },
+  Module: { course: ['Course', 'courseId'] },
+  Enrollment: {
+    ...byUserId,
+    course: ['Course', 'courseId'],
+    enrolledBy: ['User', 'enrolledById'],
+    group: ['Group', 'groupId']
+  },
+  Assessment: { course: ['Course', 'courseId'] },
+  ModuleProgress: { ...byUserId, module: ['Module', 'moduleId'] },
+  ModuleMaterial: { module: ['Module', 'moduleId'], uploadedBy: ['User', 'uploadedById'] },
+  Question: { assessment: ['Assessment', 'assessmentId'] },
+  QuestionOption: { question: ['Question', 'questionId'] },
+  AssessmentSubmission: {
+    assessment: ['Assessment', 'assessmentId'],
+    ...byUserId,
+    checkedByTeacher: ['User', 'checkedBy']
+  },
+  SubmissionAnswer: {
+    submission: ['AssessmentSubmission', 'submissionId'],
+    question: ['Question', 'questionId'],
+    selectedOption: ['QuestionOption', 'selectedOptionId']
+  },
+  Session: { ...byUserId, impersonator: ['User', 'impersonatorId'] },
+  UserToken: byUserId,
+  LoginAttempt: byUserId,
+  RecoveryCode: byUserId,
+  PasswordHistory: byUserId,
+  ApiKey: { ...byUserId, createdBy: ['User', 'createdById'] },
+  ApiKeyCapability: { apiKey: ['ApiKey', 'apiKeyId'] },
+  AuditLog: { actor: ['User', 'actorId'] },
+  UserImportJob: { createdBy: ['User', 'createdById'] }
+};
+
+// Relation operations in write data that point at existing rows
+const CONNECTING_OPERATIONS = ['connect', 'set'];
+
+const READ_WRITE_WHERE = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'update', 'updateMany', 'updateManyAndReturn', 'upsert', 'delete', 'deleteMany',
+  'count', 'aggregate', 'groupBy'
+];
+
+// Run `fn` (and everything it awaits) as the given organization
+function runWithTenant(organizationId, fn) {
+  return tenantStorage.run({ organizationId }, fn);
+}
+
+// The organization of the current request, or undefined outside one (login, seed, jobs)
+function getTenantId() {
+  const store = tenantStorage.getStore();
+  return store ? store.organizationId : undefined;
+}
+
+// Thrown for writes that would cross organizations; callers are expected to have checked already
+function tenantViolation(message) {
+  const error = new Error(message);
+  error.code = 'TENANT_VIOLATION';
+  return error;
+}
+
+function withOrganization(data, organizationId) {
+  const { organizationId: given, organization } = data;
+  if (organization !== undefined) {
+    throw tenantViolation('Set organizationId instead of the organization relation');
+  }
+  if (given !== undefined && given !== organizationId) {
+    throw tenantViolation(`Cannot write rows of organization ${given} as organization ${organizationId}`);
+  }
+  return { ...data, organizationId };
+}
+
+// The write payloads of an operation: what gets created or what rows are changed to
+function writtenData(operation, args) {
+  switch (operation) {
+    case 'create':
+    case 'update':
+    case 'updateMany':
+    case 'updateManyAndReturn':
+      return [args.data];
+    case 'createMany':
+    case 'createManyAndReturn':
+      return [].concat(args.data);
+    case 'upsert':
+      return [args.create, args.update];
+    default:
+      return [];
+  }
+}
+
+// Rows a write payload points at, as [model, unique where]; nested creates are not followed
+function referencedRows(model, data) {
+  const rows = [];
+  for (const [relation, [target, column]] of Object.entries(TENANT_REFERENCES[model] || {})) {
+    if (column && data[column] != null && typeof data[column] !== 'object') {
+      rows.push([target, { id: data[column] }]);
+    }
+    const nested = data[relation];
+    if (!nested || typeof nested !== 'object') continue;
+    for (const operation of CONNECTING_OPERATIONS) {
+      for (const where of [].concat(nested[operation] || [])) rows.push([target, where]);
+    }
+    if (nested.connectOrCreate) {
+      for (const { where } of [].concat(nested.connectOrCreate)) rows.push([target, where]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Reject writes that point at rows of another organization, e.g. an
+ * enrollment of this tenant's user in another tenant's course. Foreign keys
+ * are checked with the unscoped client against each target's tenant scope.
+ */
+async function assertReferencesInTenant(prisma, model, operation, args, organizationId) {
+  const rows = writtenData(operation, args)
+    .filter(Boolean)
+    .flatMap(data => referencedRows(model, data));
+
+  await Promise.all(rows.map(async ([target, where]) => {
+    const delegate = prisma[target.charAt(0).toLowerCase() + target.slice(1)];
+    const found = await delegate.count({ where: { AND: [where, TENANT_SCOPES[target](organizationId)] } });
+    if (!found) {
+      throw tenantViolation(`${target} ${JSON.stringify(where)} does not belong to organization ${organizationId}`);
+    }
+  }));
+}
+
+/**
+ * Wrap a PrismaClient so every query made during a request only sees and
+ * writes rows of the request's organization. Unique lookups rely on Prisma's
+ * support for extra filters in `where` of findUnique/update/delete. Writes
+ * that set the organization or reference rows of another one throw an
+ * error with code TENANT_VIOLATION. Outside a tenant context queries pass through unchanged.
+ */
+function withTenantScope(prisma) {
+  return prisma.$extends({
+    name: 'tenantScope',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const organizationId = getTenantId();
+          const scope = TENANT_SCOPES[model];
+          if (organizationId === undefined || !scope) return query(args);
+
+          const scoped = { ...args };
+          if (READ_WRITE_WHERE.includes(operation)) {
+            // AND keeps the caller's own filters on the same fields intact
+            const where = args.where || {};
+            scoped.where = { ...where, AND: [...[].concat(where.AND || []), scope(organizationId)] };
+          }
+          // Only models with their own column need the organization set on create
+          if (scope === byOrganization) {
+            if (operation === 'create') scoped.data = withOrganization(args.data, organizationId);
+            if (operation === 'upsert') scoped.create = withOrganization(args.create, organizationId);
+            if (operation === 'createMany' || operation === 'createManyAndReturn') {
+              scoped.data = [].concat(args.data).map(data => withOrganization(data, organizationId));
+            }
+            const changes = operation === 'upsert' ? args.update : operation.startsWith('update') && args.data;
+            if (changes && (changes.organizationId !== undefined || changes.organization !== undefined)) {
+              throw tenantViolation('Rows cannot be moved to another organization');
+            }
+          }
+          await assertReferencesInTenant(prisma, model, operation, args, organizationId);
+          return query(scoped);
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_ORGANIZATION_ID,
+  runWithTenant,
+  getTenantId,
+  withTenantScope
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./session');
+
+const prisma = new PrismaClient();
+
+// Accept the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database leak alone
+// does not hand out second factors
+function encryptionKey() {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Create a new TOTP secret for the user along with its otpauth:// URI
+ * and a QR code (data URL) that authenticator apps can scan.
+ */
+async function generateEnrollment(user) {
+  const secret = authenticator.generateSecret();
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Training Portal';
+  const otpauthUrl = authenticator.keyuri(user.email, issuer, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, encryptedSecret: encryptSecret(secret), otpauthUrl, qrCode };
+}
+
+// Time step (30s window since the epoch) a code belongs to, or null when it is not valid now
+function totpStep(encryptedSecret, code) {
+  if (!encryptedSecret || !code) return null;
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), decryptSecret(encryptedSecret));
+  if (delta === null) return null;
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+}
+
+/**
+ * Check a TOTP code against the user's secret and use it up: a code is only
+ * accepted once, and never after a code of a later time step. The step is
+ * recorded with a conditional update so concurrent requests cannot both pass.
+ */
+async function consumeTotp(user, code) {
+  const step = totpStep(user.twoFactorSecret, code);
+  if (step === null) return false;
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+    data: { twoFactorLastStep: step }
+  });
+  return count === 1;
+}
+
+/**
+ * Replace the user's recovery codes. Returns the plain codes; only hashes are stored.
+ */
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(code) }))
+    })
+  ]);
+
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  if (!code) return false;
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(String(code).trim().toLowerCase()), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+}
+
+module.exports = {
+  generateEnrollment,
+  consumeTotp,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode
+};
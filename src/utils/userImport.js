@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('./tenant');
+const { validatePassword, recordPasswordHistory } = require('./passwordPolicy');
+const { invalidateUser } = require('./capabilityCache');
+const { REDACTED, recordAudit } = require('./audit');
+const { hasCapability } = require('../middleware/authorize');
+const { CAP } = require('./capabilities');
+
+const prisma = withTenantScope(new PrismaClient());
+
+const IMPORT_FILE_TYPES = ['.csv', '.xlsx'];
+const MAX_IMPORT_ROWS = 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header cells are matched case- and punctuation-insensitively ("Full Name" -> fullname)
+const COLUMNS = {
+  email: 'email',
+  fullname: 'fullName',
+  phonenumber: 'phoneNumber',
+  phone: 'phoneNumber',
+  designation: 'designation',
+  role: 'role',
+  password: 'password',
+  courses: 'courses'
+};
+
+// Fields copied onto the user when present in a row
+const PROFILE_FIELDS = ['fullName', 'phoneNumber', 'designation'];
+
+const userImportSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  phoneNumber: true,
+  designation: true,
+  roleId: true,
+  isServiceAccount: true,
+  isActive: true
+};
+
+// ===== PARSING =====
+
+async function readSheetRows(buffer, ext) {
+  if (ext === '.csv') {
+    return parse(buffer, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  }
+  if (ext === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow(row => {
+      // cell.text flattens hyperlinks, rich text and formula results to a string
+      const values = [];
+      for (let col = 1; col <= row.cellCount; col++) values.push(row.getCell(col).text.trim());
+      if (values.some(Boolean)) rows.push(values);
+    });
+    return rows;
+  }
+  return null;
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into import rows. The first row is the
+ * header; `email` is required, the other columns (fullName, phoneNumber,
+ * designation, role, password, courses) are optional. `courses` lists course
+ * ids or titles separated by `;`. Returns { rows } or { error } for unusable files.
+ */
+async function parseImportFile(buffer, fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  if (!IMPORT_FILE_TYPES.includes(ext)) {
+    return { error: `Only ${IMPORT_FILE_TYPES.join(' and ')} files are supported` };
+  }
+
+  let sheetRows;
+  try {
+    sheetRows = await readSheetRows(buffer, ext);
+  } catch (error) {
+    return { error: `Could not read file: ${error.message}` };
+  }
+
+  const [header, ...body] = sheetRows;
+  if (!header) return { error: 'The file is empty' };
+
+  const fields = header.map(cell => COLUMNS[String(cell).toLowerCase().replace(/[^a-z]/g, '')] || null);
+  if (!fields.includes('email')) return { error: 'The header row must contain an `email` column' };
+  if (body.length > MAX_IMPORT_ROWS) return { error: `Files are limited to ${MAX_IMPORT_ROWS} rows` };
+
+  const rows = body.map((cells, index) => {
+    // Spreadsheet row number, counting the header, so errors point at the right line
+    const row = { rowNumber: index + 2 };
+    fields.forEach((field, col) => {
+      const value = cells[col] == null ? '' : String(cells[col]).trim();
+      if (field && value) row[field] = value;
+    });
+    if (row.email) row.email = row.email.toLowerCase();
+    return row;
+  });
+  return { rows };
+}
+
+// ===== VALIDATION =====
+
+// Look up everything the rows refer to in a few queries instead of per row
+async function loadReferences(rows) {
+  const emails = [...new Set(rows.map(row => row.email).filter(Boolean))];
+  const courseRefs = new Set(rows.flatMap(row => splitCourses(row.courses)));
+  const courseIds = [...courseRefs].filter(ref => /^\d+$/.test(ref)).map(Number);
+  const courseTitles = [...courseRefs].filter(ref => !/^\d+$/.test(ref));
+
+  const [roles, users, courses] = await Promise.all([
+    prisma.role.findMany({ select: { id: true, name: true } }),
+    prisma.user.findMany({ where: { email: { in: emails, mode: 'insensitive' } }, select: userImportSelect }),
+    prisma.course.findMany({
+      where: { OR: [{ id: { in: courseIds } }, { title: { in: courseTitles } }] },
+      select: { id: true, title: true }
+    })
+  ]);
+
+  const coursesByTitle = new Map();
+  for (const course of courses) {
+    coursesByTitle.set(course.title, [...(coursesByTitle.get(course.title) || []), course]);
+  }
+
+  return {
+    rolesByName: new Map(roles.map(role => [role.name.toLowerCase(), role])),
+    usersByEmail: new Map(users.map(user => [user.email.toLowerCase(), user])),
+    courseIds: new Set(courses.map(course => course.id)),
+    coursesByTitle
+  };
+}
+
+function splitCourses(value) {
+  return value ? value.split(';').map(ref => ref.trim()).filter(Boolean) : [];
+}
+
+async function validateRow(row, refs, seenEmails, req) {
+  const errors = [];
+  const plan = { existing: null, roleId: undefined, courseIds: [] };
+
+  if (!row.email) {
+    errors.push('email is required');
+  } else if (!EMAIL_PATTERN.test(row.email)) {
+    errors.push(`"${row.email}" is not a valid email address`);
+  } else if (seenEmails.has(row.email)) {
+    errors.push(`duplicate of row ${seenEmails.get(row.email)}`);
+  } else {
+    seenEmails.set(row.email, row.rowNumber);
+    plan.existing = refs.usersByEmail.get(row.email) || null;
+    if (plan.existing && plan.existing.isServiceAccount) {
+      errors.push('email belongs to a service account');
+    } else if (plan.existing && !plan.existing.isActive) {
+      errors.push('user is deactivated, reactivate them first');
+    }
+  }
+
+  // Importing must not reach further than the single-user endpoints would let the caller
+  if (row.role && !hasCapability(req, CAP.CHANGE_USER_ROLE)) {
+    errors.push(`setting a role requires the ${CAP.CHANGE_USER_ROLE} capability`);
+  } else if (row.role) {
+    const role = refs.rolesByName.get(row.role.toLowerCase());
+    if (role) plan.roleId = role.id;
+    else errors.push(`unknown role "${row.role}"`);
+  }
+
+  if (row.courses && !hasCapability(req, CAP.ENROLL_COURSES)) {
+    errors.push(`enrolling in courses requires the ${CAP.ENROLL_COURSES} capability`);
+  }
+  for (const ref of splitCourses(row.courses)) {
+    if (/^\d+$/.test(ref)) {
+      if (refs.courseIds.has(Number(ref))) plan.courseIds.push(Number(ref));
+      else errors.push(`unknown course id ${ref}`);
+      continue;
+    }
+    const matches = refs.coursesByTitle.get(ref) || [];
+    if (matches.length === 1) plan.courseIds.push(matches[0].id);
+    else if (matches.length === 0) errors.push(`unknown course "${ref}"`);
+    else errors.push(`course title "${ref}" is ambiguous, use its id`);
+  }
+  plan.courseIds = [...new Set(plan.courseIds)];
+
+  // Passwords only apply to new accounts; an import never resets an existing one
+  if (row.password && !plan.existing) {
+    const passwordErrors = await validatePassword(row.password);
+    errors.push(...passwordErrors.map(error => error.message));
+  }
+
+  return { errors, plan };
+}
+
+// ===== APPLYING =====
+
+async function applyRow(row, plan, req) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    if (row[field] !== undefined) profile[field] = row[field];
+  }
+  if (plan.roleId !== undefined) Object.assign(profile, { roleId: plan.roleId, ssoManagedRole: false });
+
+  let user;
+  if (plan.existing) {
+    user = await prisma.user.update({ where: { id: plan.existing.id }, data: profile, select: userImportSelect });
+    if (plan.roleId !== undefined && plan.roleId !== plan.existing.roleId) invalidateUser(user.id);
+    await recordAudit(req, { action: 'user.update', entityType: 'User', entityId: user.id, before: plan.existing, after: user });
+  } else {
+    // Without a password column the account gets an unguessable one and the
+    // user sets their own through the forgot-password flow
+    const password = row.password || crypto.randomBytes(24).toString('base64');
+    const hashedPassword = await bcrypt.hash(password, 10);
+    user = await prisma.user.create({
+      data: {
+        ...profile,
+        email: row.email,
+        password: hashedPassword,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        passwordChangedAt: new Date(),
+        mustChangePassword: !row.password
+      },
+      select: userImportSelect
+    });
+    await recordPasswordHistory(user.id, hashedPassword);
+    await recordAudit(req, { action: 'user.create', entityType: 'User', entityId: user.id, after: user });
+  }
+
+  let enrolled = 0;
+  if (plan.courseIds.length > 0) {
+    ({ count: enrolled } = await prisma.enrollment.createMany({
+      data: plan.courseIds.map(courseId => ({ userId: user.id, courseId, enrolledById: req.user.userId })),
+      skipDuplicates: true
+    }));
+  }
+
+  return { userId: user.id, enrolled };
+}
+
+/**
+ * Validate and (unless `dryRun`) apply import rows. Users are matched by
+ * email: unknown emails are created, known ones have the given columns
+ * updated. Rows are independent, so one bad row does not stop the others.
+ * `onProgress(processedRows, counts)` is called every `progressEvery` rows.
+ * Resolves to { totalRows, successCount, errorCount, rows } where each row
+ * entry reports its outcome.
+ */
+async function runUserImport(rows, { req, dryRun = false, onProgress, progressEvery = 50 }) {
+  const refs = await loadReferences(rows);
+  const seenEmails = new Map();
+  const report = [];
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (const row of rows) {
+    const { errors, plan } = await validateRow(row, refs, seenEmails, req);
+    const entry = { row: row.rowNumber, email: row.email || null, action: plan.existing ? 'update' : 'create' };
+
+    if (errors.length === 0 && !dryRun) {
+      try {
+        Object.assign(entry, await applyRow(row, plan, req));
+      } catch (error) {
+        console.error(`Error importing row ${row.rowNumber}:`, error);
+        errors.push('could not be saved');
+      }
+    } else if (errors.length === 0) {
+      entry.courseIds = plan.courseIds;
+    }
+
+    if (errors.length > 0) {
+      errorCount++;
+      report.push({ ...entry, status: 'error', errors });
+    } else {
+      successCount++;
+      report.push({ ...entry, status: 'ok' });
+    }
+
+    if (onProgress && report.length % progressEvery === 0) {
+      await onProgress(report.length, { successCount, errorCount });
+    }
+  }
+
+  return { totalRows: rows.length, successCount, errorCount, rows: report };
+}
+
+// ===== BACKGROUND JOBS =====
+
+/**
+ * Record a background import and start it once the current request is done.
+ * Progress and the final report are stored on the UserImportJob row.
+ */
+async function startUserImportJob(rows, { req, dryRun, fileName }) {
+  const job = await prisma.userImportJob.create({
+    data: { createdById: req.user.userId, fileName, dryRun, totalRows: rows.length }
+  });
+
+  setImmediate(async () => {
+    try {
+      await prisma.userImportJob.update({ where: { id: job.id }, data: { status: 'RUNNING', startedAt: new Date() } });
+      const result = await runUserImport(rows, {
+        req,
+        dryRun,
+        onProgress: (processedRows, counts) =>
+          prisma.userImportJob.update({ where: { id: job.id }, data: { processedRows, ...counts } })
+      });
+      await prisma.userImportJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'COMPLETED',
+          processedRows: result.totalRows,
+          successCount: result.successCount,
+          errorCount: result.errorCount,
+          report: result.rows,
+          finishedAt: new Date()
+        }
+      });
+    } catch (error) {
+      console.error(`User import job ${job.id} failed:`, error);
+      await prisma.userImportJob.update({
+        where: { id: job.id },
+        data: { status: 'FAILED', error: error.message, finishedAt: new Date() }
+      }).catch(err => console.error(`Error marking import job ${job.id} as failed:`, err));
+    }
+  });
+
+  return job;
+}
+
+/**
+ * Replace an email address in the per-row reports of import jobs with
+ * REDACTED, for erasing the personal data of a purged user.
+ */
+async function redactImportReports(email) {
+  // Rows are reported with the lowercased email they were imported under
+  const address = email.toLowerCase();
+  const jobs = await prisma.userImportJob.findMany({
+    where: { report: { array_contains: [{ email: address }] } },
+    select: { id: true, report: true }
+  });
+  await prisma.$transaction(jobs.map(job => prisma.userImportJob.update({
+    where: { id: job.id },
+    data: { report: job.report.map(row => (row.email === address ? { ...row, email: REDACTED } : row)) }
+  })));
+}
+
+module.exports = {
+  IMPORT_FILE_TYPES,
+  parseImportFile,
+  runUserImport,
+  startUserImportJob,
+  redactImportReports
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./session');
+
+const prisma = new PrismaClient();
+
+/**
+ * Issue a single-use token of the given type (e.g. PASSWORD_RESET).
+ * Any earlier unused token of the same type is discarded, so only the
+ * most recent link sent to the user works. Returns the raw token.
+ */
+async function issueUserToken(userId, type, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.userToken.deleteMany({ where: { userId, type, usedAt: null } });
+  await prisma.userToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Look up a still-valid token without consuming it, or null.
+ */
+async function findUserToken(token, type) {
+  return prisma.userToken.findFirst({
+    where: { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { gt: new Date() } }
+  });
+}
+
+/**
+ * Mark a token as used and return its row, or null if it is unknown,
+ * expired or already consumed.
+ */
+async function consumeUserToken(token, type) {
+  const tokenHash = hashToken(token);
+
+  // Conditional update so two concurrent requests cannot both consume it
+  const { count } = await prisma.userToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  });
+  if (count !== 1) return null;
+
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+}
+
+module.exports = { issueUserToken, findUserToken, consumeUserToken };
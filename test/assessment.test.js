@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestDatabase } = require('./support/database');
+const { startApi, signInWithCapabilities } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'assessment-test-'));
+
+let prisma;
+let close;
+let api;
+let trainee;
+let outsider;
+let admin;
+let assessment;
+let question;
+const image = 'questions/1/image-00000000-0000-4000-8000-000000000001.png';
+const imageData = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  await require('../src/utils/storage').getStorage().putObject(image, imageData);
+
+  trainee = await signInWithCapabilities(prisma, 'trainee@example.com', ['start_taking_assessment']);
+  outsider = await signInWithCapabilities(prisma, 'outsider@example.com', ['start_taking_assessment']);
+  admin = await signInWithCapabilities(prisma, 'admin@example.com', ['view_assessment_by_id', 'update_question', 'manage_any_course']);
+  const course = await prisma.course.create({ data: { title: 'Wiring', createdById: trainee.user.id } });
+  await prisma.enrollment.create({ data: { userId: trainee.user.id, courseId: course.id, enrolledById: trainee.user.id } });
+  assessment = await prisma.assessment.create({
+    data: {
+      title: 'Diagrams',
+      courseId: course.id,
+      questions: { create: [{ questionText: 'Label it', questionType: 'SHORT_ANSWER', order: 1, imageUrl: image }] }
+    },
+    include: { questions: true }
+  });
+  [question] = assessment.questions;
+
+  api = await startApi({
+    '/api/files': require('../src/routes/file'),
+    '/api/assessments': [require('../src/routes/assessment'), require('../src/routes/assessmentAdmin')]
+  });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+  fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+});
+
+test('question images in the start payload load without an Authorization header', async () => {
+  const { status, body } = await api.request('POST', `/api/assessments/student/assessments/${assessment.id}/start`, {
+    token: trainee.token
+  });
+  assert.equal(status, 200);
+
+  const { imageUrl } = body.data.questions[0];
+  assert.match(imageUrl, /^\/api\/files\/questions\/.+signature=/);
+  const download = await fetch(`${api.baseUrl}${imageUrl}`);
+  assert.equal(download.status, 200);
+  assert.deepEqual(Buffer.from(await download.arrayBuffer()), imageData);
+});
+
+test('the question file route redirects to a short-lived signed URL after checking access', async () => {
+  const res = await api.request('GET', `/api/assessments/questions/${question.id}/image`, {
+    token: trainee.token,
+    redirect: 'manual'
+  });
+  assert.equal(res.status, 302);
+
+  const location = new URL(res.headers.get('location'), api.baseUrl);
+  assert.equal(location.pathname, `/api/files/${image}`);
+  assert.ok(Number(location.searchParams.get('expires')) <= Date.now() / 1000 + 60);
+  assert.equal((await fetch(location)).status, 200);
+});
+
+test('users without access to the question are not redirected', async () => {
+  const { status, headers } = await api.request('GET', `/api/assessments/questions/${question.id}/image`, {
+    token: outsider.token,
+    redirect: 'manual'
+  });
+  assert.equal(status, 403);
+  assert.equal(headers.get('location'), null);
+});
+
+test('admins with an any-course capability fetch question files of courses they do not own', async () => {
+  const res = await api.request('GET', `/api/assessments/questions/${question.id}/image`, {
+    token: admin.token,
+    redirect: 'manual'
+  });
+  assert.equal(res.status, 302);
+});
+
+test('the admin assessment payload links question images with signed URLs', async () => {
+  const { status, body } = await api.request('GET', `/api/assessments/admin/assessments/${assessment.id}`, {
+    token: admin.token
+  });
+  assert.equal(status, 200);
+
+  const { imageUrl } = body.data.questions[0];
+  assert.match(imageUrl, /^\/api\/files\/questions\/.+signature=/);
+  assert.equal((await fetch(`${api.baseUrl}${imageUrl}`)).status, 200);
+
+  // Sending the signed URL back with an edit keeps the stored image
+  const update = await api.request('PUT', `/api/assessments/admin/questions/${question.id}`, {
+    token: admin.token,
+    body: { questionText: 'Label the diagram', imageUrl }
+  });
+  assert.equal(update.status, 200);
+  const stored = await prisma.question.findUnique({ where: { id: question.id } });
+  assert.equal(stored.imageUrl, image);
+});
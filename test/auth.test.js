@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+const { startApi } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+let prisma;
+let close;
+let api;
+let mailWorks = true;
+const sent = [];
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  require('../src/utils/mailer').registerTransport('test', {
+    async send(message) {
+      if (!mailWorks) throw new Error('SMTP connection refused');
+      sent.push(message);
+    }
+  });
+  await prisma.role.create({ data: { name: 'trainee' } });
+  api = await startApi({ '/api/auth': require('../src/routes/auth') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+});
+
+const register = email => api.request('POST', '/api/auth/register', { body: { email, password: 'Sturdy-Passw0rd' } });
+
+test('registration sends a verification email', async () => {
+  const { status, body } = await register('mailed@example.com');
+
+  assert.equal(status, 201);
+  assert.equal(body.verificationEmailSent, true);
+  assert.equal(sent.at(-1).to, 'mailed@example.com');
+});
+
+test('registration succeeds when the verification email cannot be sent', async () => {
+  mailWorks = false;
+  try {
+    const { status, body } = await register('unmailed@example.com');
+
+    assert.equal(status, 201);
+    assert.equal(body.verificationEmailSent, false);
+    assert.match(body.message, /resend-verification/);
+    assert.ok(await prisma.user.findUnique({ where: { email: 'unmailed@example.com' } }));
+  } finally {
+    mailWorks = true;
+  }
+
+  const resent = await api.request('POST', '/api/auth/resend-verification', { body: { email: 'unmailed@example.com' } });
+  assert.equal(resent.status, 200);
+  assert.equal(sent.at(-1).to, 'unmailed@example.com');
+});
+
+// A verified, approved user an admin has told to pick a new password
+async function forcedChangeUser(email) {
+  const bcrypt = require('bcryptjs');
+  await prisma.user.create({
+    data: {
+      email,
+      password: await bcrypt.hash('Initial-Passw0rd', 10),
+      emailVerified: true,
+      approvalStatus: 'APPROVED',
+      mustChangePassword: true,
+      passwordChangedAt: new Date()
+    }
+  });
+  const { status, body } = await api.request('POST', '/api/auth/login', {
+    body: { email, password: 'Initial-Passw0rd' }
+  });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'PASSWORD_CHANGE_REQUIRED');
+  return body.passwordChangeToken;
+}
+
+const changeRequiredPassword = (passwordChangeToken, newPassword) =>
+  api.request('POST', '/api/auth/change-required-password', { body: { passwordChangeToken, newPassword } });
+
+test('a password change token can only be used once', async () => {
+  const token = await forcedChangeUser('forced@example.com');
+
+  const changed = await changeRequiredPassword(token, 'Second-Passw0rd');
+  assert.equal(changed.status, 200);
+  assert.ok(changed.body.refreshToken);
+
+  const replay = await changeRequiredPassword(token, 'Third-Passw0rd');
+  assert.equal(replay.status, 401);
+});
+
+test('a password change token stops working once the account is deactivated', async () => {
+  const token = await forcedChangeUser('deactivated@example.com');
+  await prisma.user.update({ where: { email: 'deactivated@example.com' }, data: { isActive: false } });
+
+  const { status, body } = await changeRequiredPassword(token, 'Second-Passw0rd');
+  assert.equal(status, 403);
+  assert.equal(body.code, 'ACCOUNT_DEACTIVATED');
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestDatabase } = require('./support/database');
+const { startApi, signInWithCapabilities } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'course-test-'));
+
+let prisma;
+let close;
+let api;
+let owner;
+let trainee;
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  owner = await signInWithCapabilities(prisma, 'owner@example.com', ['delete_course', 'enroll_courses']);
+  trainee = await signInWithCapabilities(prisma, 'trainee@example.com', ['unenroll_courses']);
+  api = await startApi({ '/api': require('../src/routes/course') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+  fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+});
+
+test('deleting a course removes the files of its questions', async () => {
+  const { getStorage } = require('../src/utils/storage');
+  const storage = getStorage();
+  const image = 'questions/1/image-00000000-0000-4000-8000-000000000001.png';
+  const shared = 'questions/1/attachment-00000000-0000-4000-8000-000000000002-handout.pdf';
+  await storage.putObject(image, Buffer.from('png'));
+  await storage.putObject(shared, Buffer.from('pdf'));
+
+  const course = await prisma.course.create({ data: { title: 'Doomed', createdById: owner.user.id } });
+  const other = await prisma.course.create({ data: { title: 'Survivor', createdById: owner.user.id } });
+  const question = { questionText: 'Q', questionType: 'SHORT_ANSWER', order: 1 };
+  await prisma.assessment.create({
+    data: {
+      title: 'Quiz',
+      courseId: course.id,
+      questions: { create: [{ ...question, imageUrl: image, attachmentUrl: shared }] }
+    }
+  });
+  // A duplicated assessment in another course still uses the attachment
+  await prisma.assessment.create({
+    data: { title: 'Copy', courseId: other.id, questions: { create: [{ ...question, attachmentUrl: shared }] } }
+  });
+
+  const { status } = await api.request('DELETE', `/api/courses/${course.id}`, { token: owner.token });
+
+  assert.equal(status, 200);
+  assert.equal(await storage.getObject(image), null);
+  assert.ok(await storage.getObject(shared));
+});
+
+test('enrolling and unenrolling are audited', async () => {
+  const course = await prisma.course.create({ data: { title: 'Audited', createdById: owner.user.id } });
+
+  const enrolled = await api.request('POST', `/api/courses/${course.id}/enroll`, {
+    token: owner.token,
+    body: { traineeUserId: trainee.user.id }
+  });
+  assert.equal(enrolled.status, 201);
+  const created = await prisma.auditLog.findFirst({ where: { action: 'enrollment.create' } });
+  assert.equal(created.actorId, owner.user.id);
+  assert.equal(created.entityId, String(enrolled.body.enrollment.id));
+  assert.equal(created.after.userId, trainee.user.id);
+  assert.equal(created.after.courseId, course.id);
+
+  const unenrolled = await api.request('DELETE', `/api/courses/${course.id}/enroll`, { token: trainee.token });
+  assert.equal(unenrolled.status, 200);
+  const deleted = await prisma.auditLog.findFirst({ where: { action: 'enrollment.delete' } });
+  assert.equal(deleted.actorId, trainee.user.id);
+  assert.equal(deleted.before.courseId, course.id);
+});
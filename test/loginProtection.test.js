@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+
+let prisma;
+let close;
+let loginProtection;
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  loginProtection = require('../src/utils/loginProtection');
+});
+
+after(() => close());
+
+test('concurrent failed logins are all counted and lock the account once', async () => {
+  // Every request loaded the user before any failure was recorded
+  const user = await prisma.user.create({ data: { email: 'racing@example.com', password: 'x' } });
+
+  await Promise.all(Array.from({ length: 6 }, () => loginProtection.registerFailedLogin(user)));
+
+  const locked = await prisma.user.findUnique({ where: { id: user.id } });
+  assert.ok(loginProtection.isLocked(locked));
+  assert.equal(locked.lockoutCount, 1);
+});
+
+test('failures below the threshold only raise the count', async () => {
+  const user = await prisma.user.create({ data: { email: 'typo@example.com', password: 'x' } });
+
+  const updated = await loginProtection.registerFailedLogin(user);
+  assert.equal(updated.failedLoginCount, 1);
+  assert.equal(loginProtection.isLocked(updated), false);
+});
+
+test('lockout settings must be positive integers', () => {
+  const { settingValueError } = require('../src/utils/settings');
+
+  for (const value of [0, -1, 2.5, '5']) {
+    assert.ok(settingValueError('lockout.maxFailedAttempts', value), `accepted ${value}`);
+  }
+  assert.equal(settingValueError('lockout.maxFailedAttempts', 3), null);
+  assert.equal(settingValueError('passwordPolicy.historySize', 0), null);
+  assert.ok(settingValueError('registration.requireApproval', 'yes'));
+});
+
+test('password policy counts must be non-negative integers', () => {
+  const { settingValueError } = require('../src/utils/settings');
+
+  for (const key of ['passwordPolicy.minLength', 'passwordPolicy.historySize']) {
+    for (const value of [-1, 2.5, Infinity]) {
+      assert.ok(settingValueError(key, value), `${key} accepted ${value}`);
+    }
+    assert.equal(settingValueError(key, 12), null);
+  }
+});
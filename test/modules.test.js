@@ -0,0 +1,27 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestDatabase } = require('./support/database');
+
+// Every module server.js mounts or depends on; loading them also runs the
+// authorize() capability checks that routes do at definition time
+const SRC = path.join(__dirname, '../src');
+const modulesIn = dir => fs.readdirSync(path.join(SRC, dir))
+  .filter(name => name.endsWith('.js'))
+  .map(name => `${dir}/${name}`);
+
+let close;
+
+before(async () => {
+  ({ close } = await useTestDatabase());
+});
+
+after(() => close());
+
+for (const file of ['utils', 'middleware', 'routes'].flatMap(modulesIn)) {
+  test(`${file} loads`, () => {
+    const loaded = require(path.join(SRC, file));
+    if (file.startsWith('routes/')) assert.equal(typeof loaded, 'function', 'routes export an express router');
+  });
+}
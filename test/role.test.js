@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+const { startApi, signInWithCapabilities } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let api;
+let token;
+const roles = {};
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  for (const name of ['trainee', 'admin', 'auditor']) {
+    roles[name] = await prisma.role.create({ data: { name } });
+  }
+  ({ token } = await signInWithCapabilities(prisma, 'roles@example.com', [
+    'update_roles',
+    'delete_roles',
+    'assign_capabilities_to_role',
+    'update_capabilities',
+    'delete_capabilities'
+  ]));
+  api = await startApi({ '/api': require('../src/routes/role') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+});
+
+test('built-in roles cannot be renamed', async () => {
+  for (const name of ['trainee', 'admin']) {
+    const { status } = await api.request('PUT', `/api/roles/${roles[name].id}`, { token, body: { name: `${name}-old` } });
+    assert.equal(status, 409);
+    assert.equal((await prisma.role.findUnique({ where: { id: roles[name].id } })).name, name);
+  }
+});
+
+test('built-in roles cannot be deleted', async () => {
+  for (const name of ['trainee', 'admin']) {
+    const { status } = await api.request('DELETE', `/api/roles/${roles[name].id}`, { token });
+    assert.equal(status, 409);
+    assert.ok(await prisma.role.findUnique({ where: { id: roles[name].id } }));
+  }
+});
+
+test('other roles can still be renamed and deleted', async () => {
+  const renamed = await api.request('PUT', `/api/roles/${roles.auditor.id}`, { token, body: { name: 'reviewer' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.name, 'reviewer');
+
+  const deleted = await api.request('DELETE', `/api/roles/${roles.auditor.id}`, { token });
+  assert.equal(deleted.status, 200);
+});
+
+test('malformed role and capability ids are rejected with 400', async () => {
+  const requests = [
+    ['PUT', '/api/roles/abc', { name: 'renamed' }],
+    ['DELETE', '/api/roles/abc'],
+    ['POST', '/api/roles/abc/capabilities', { capabilityIds: [1], granted: true }],
+    ['POST', `/api/roles/${roles.trainee.id}/capabilities`, { capabilityIds: ['abc'], granted: true }],
+    ['PUT', '/api/capabilities/abc', { category: 'renamed' }],
+    ['DELETE', '/api/capabilities/abc']
+  ];
+  for (const [method, path, body] of requests) {
+    const { status } = await api.request(method, path, { token, body });
+    assert.equal(status, 400, `${method} ${path}`);
+  }
+});
+
+test('granting an unknown capability is a 404 and grants nothing', async () => {
+  const role = await prisma.role.create({ data: { name: 'reporter' } });
+  const known = await prisma.capability.create({ data: { name: 'view_reports', category: 'test' } });
+
+  const { status, body } = await api.request('POST', `/api/roles/${role.id}/capabilities`, {
+    token,
+    body: { capabilityIds: [known.id, 999999], granted: true }
+  });
+  assert.equal(status, 404);
+  assert.deepEqual(body.unknownIds, [999999]);
+  assert.equal(await prisma.roleCapability.count({ where: { roleId: role.id } }), 0);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+const { startApi, signInWithCapabilities } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let api;
+let manager;
+
+// A role holding exactly `capabilities`
+function createRole(name, capabilities) {
+  return prisma.role.create({
+    data: {
+      name,
+      roleCapabilities: {
+        create: capabilities.map(capability => ({
+          capability: { connectOrCreate: { where: { name: capability }, create: { name: capability, category: 'test' } } }
+        }))
+      }
+    }
+  });
+}
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  manager = await signInWithCapabilities(prisma, 'integrations@example.com', ['manage_service_accounts', 'view_all_users']);
+  api = await startApi({ '/api': require('../src/routes/serviceAccount') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+});
+
+const createServiceAccount = (name, roleId) =>
+  api.request('POST', '/api/service-accounts', { token: manager.token, body: { name, roleId } });
+
+test('service accounts cannot be given a role with capabilities the caller lacks', async () => {
+  const admin = await createRole('admin', ['view_all_users', 'purge_user']);
+
+  const { status, body } = await createServiceAccount('Escalation', admin.id);
+  assert.equal(status, 403);
+  assert.deepEqual(body.notHeld, ['purge_user']);
+
+  const reader = await createRole('directory-reader', ['view_all_users']);
+  assert.equal((await createServiceAccount('Directory sync', reader.id)).status, 201);
+});
+
+test('API keys cannot be given capabilities the caller lacks', async () => {
+  const role = await createRole('reporting', ['view_all_users', 'search_users']);
+  const account = await prisma.user.create({
+    data: { email: 'reporting@service-accounts.local', password: 'x', roleId: role.id, isServiceAccount: true }
+  });
+  const issue = capabilities => api.request('POST', `/api/service-accounts/${account.id}/api-keys`, {
+    token: manager.token,
+    body: { name: 'nightly', capabilities }
+  });
+
+  const refused = await issue(['view_all_users', 'search_users']);
+  assert.equal(refused.status, 403);
+  assert.deepEqual(refused.body.notHeld, ['search_users']);
+
+  const issued = await issue(['view_all_users']);
+  assert.equal(issued.status, 201);
+  assert.deepEqual(issued.body.capabilities, ['view_all_users']);
+});
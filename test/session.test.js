@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let session;
+let user;
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  session = require('../src/utils/session');
+  user = await prisma.user.create({ data: { email: 'session@example.com', password: 'x' } });
+});
+
+after(() => close());
+
+test('revokeSession refuses a missing id instead of revoking every session', async () => {
+  await session.createSession(user, { headers: {} });
+  await session.createSession(user, { headers: {} });
+
+  await assert.rejects(session.revokeSession(undefined));
+  assert.equal(await prisma.session.count({ where: { revokedAt: null } }), 2);
+});
+
+test('revokeSession only revokes the given session', async () => {
+  const { session: first } = await session.createSession(user, { headers: {} });
+  const { session: second } = await session.createSession(user, { headers: {} });
+
+  await session.revokeSession(first.id);
+  assert.equal(await session.isSessionActive(first.id), false);
+  assert.equal(await session.isSessionActive(second.id), true);
+});
+
+test('a refresh token can only be rotated once, even concurrently', async () => {
+  const { refreshToken } = await session.createSession(user, { headers: {} });
+
+  const results = await Promise.all([session.rotateSession(refreshToken), session.rotateSession(refreshToken)]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await session.rotateSession(refreshToken), null);
+  const [rotated] = results.filter(Boolean);
+  assert.ok(await session.rotateSession(rotated.refreshToken));
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestDatabase } = require('./support/database');
+const { startMockOidcProvider } = require('./support/mockOidcProvider');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let idp;
+let server;
+let baseUrl;
+const roles = {};
+
+/**
+ * Run the whole browser round trip: our login redirect, the IdP's authorize
+ * redirect and our callback. Resolves to the callback's { status, body }.
+ */
+async function ssoLogin(claims) {
+  idp.nextLogin(claims);
+  const toIdp = await fetch(`${baseUrl}/api/auth/sso/oidc/login`, { redirect: 'manual' });
+  const toCallback = await fetch(toIdp.headers.get('location'), { redirect: 'manual' });
+  const callback = await fetch(toCallback.headers.get('location'));
+  return { status: callback.status, body: await callback.json() };
+}
+
+const findUser = email => prisma.user.findUnique({ where: { email }, include: { role: true } });
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  for (const name of ['trainee', 'instructor', 'admin']) {
+    roles[name] = await prisma.role.create({ data: { name } });
+  }
+
+  idp = await startMockOidcProvider();
+  const app = express();
+  app.use('/api/auth/sso', require('../src/routes/sso'));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    OIDC_ISSUER_URL: idp.issuer,
+    OIDC_CLIENT_ID: 'training-backend',
+    OIDC_CLIENT_SECRET: 'secret',
+    OIDC_REDIRECT_URI: `${baseUrl}/api/auth/sso/oidc/callback`,
+    SSO_GROUP_ROLE_MAP: JSON.stringify({ trainers: 'instructor' })
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await idp.close();
+  await close();
+});
+
+test('a new identity is provisioned with the default role and logged in', async () => {
+  const { status, body } = await ssoLogin({ sub: 'new-1', email: 'new@example.com', email_verified: true, name: 'New User' });
+
+  assert.equal(status, 200);
+  assert.ok(body.token && body.refreshToken);
+  const user = await findUser('new@example.com');
+  assert.equal(user.role.name, 'trainee');
+  assert.equal(user.ssoManagedRole, true);
+  assert.equal(user.emailVerified, true);
+  assert.equal(user.fullName, 'New User');
+});
+
+test('group mapping updates a role that SSO assigned', async () => {
+  const { status } = await ssoLogin({ sub: 'new-1', email: 'new@example.com', email_verified: true, groups: ['trainers'] });
+
+  assert.equal(status, 200);
+  assert.equal((await findUser('new@example.com')).role.name, 'instructor');
+});
+
+test('a local account is only linked when the IdP verified the email', async () => {
+  await prisma.user.create({ data: { email: 'local@example.com', password: 'x', roleId: roles.admin.id, emailVerified: true } });
+
+  const unverified = await ssoLogin({ sub: 'local-1', email: 'local@example.com', email_verified: false });
+  assert.equal(unverified.status, 409);
+  assert.equal(unverified.body.code, 'SSO_EMAIL_NOT_VERIFIED');
+  assert.equal((await findUser('local@example.com')).ssoSubject, null);
+
+  const verified = await ssoLogin({ sub: 'local-1', email: 'local@example.com', email_verified: true });
+  assert.equal(verified.status, 200);
+  assert.equal((await findUser('local@example.com')).ssoSubject, 'local-1');
+});
+
+test('group mapping leaves the role of a linked local account alone', async () => {
+  const { status } = await ssoLogin({ sub: 'local-1', email: 'local@example.com', email_verified: true, groups: ['trainers'] });
+
+  assert.equal(status, 200);
+  const user = await findUser('local@example.com');
+  assert.equal(user.role.name, 'admin');
+  assert.equal(user.ssoManagedRole, false);
+});
+
+test('an account linked to one identity cannot be taken over by another', async () => {
+  const { status, body } = await ssoLogin({ sub: 'attacker', email: 'local@example.com', email_verified: true });
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'SSO_ACCOUNT_LINKED');
+  assert.equal((await findUser('local@example.com')).ssoSubject, 'local-1');
+});
+
+test('accounts awaiting approval cannot log in through SSO', async () => {
+  await prisma.user.create({ data: { email: 'pending@example.com', password: 'x', approvalStatus: 'PENDING' } });
+
+  const { status, body } = await ssoLogin({ sub: 'pending-1', email: 'pending@example.com', email_verified: true });
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'ACCOUNT_PENDING_APPROVAL');
+  assert.equal(await prisma.session.count({ where: { user: { email: 'pending@example.com' } } }), 0);
+});
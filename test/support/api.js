@@ -0,0 +1,63 @@
+const express = require('express');
+
+/**
+ * Serve routers on a random local port, with the JSON body parser server.js
+ * installs. `routes` maps mount paths to a router or a list of routers sharing
+ * the path, e.g. { '/api': roleRoutes }.
+ * Resolves to { baseUrl, request, close } where
+ * request(method, path, { token, body }) resolves to { status, headers, body }.
+ */
+async function startApi(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routes)) app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, redirect = 'follow' } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return { baseUrl, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * Create a user whose role holds exactly `capabilities` and open a session for
+ * them. Resolves to { user, role, token }.
+ */
+async function signInWithCapabilities(prisma, email, capabilities, data = {}) {
+  const { createSession } = require('../../src/utils/session');
+  const role = await prisma.role.create({
+    data: {
+      name: `${email}-role`,
+      roleCapabilities: {
+        create: capabilities.map(name => ({
+          capability: { connectOrCreate: { where: { name }, create: { name, category: 'test' } } }
+        }))
+      }
+    }
+  });
+  const user = await prisma.user.create({ data: { email, password: 'x', roleId: role.id, ...data } });
+  const { accessToken } = await createSession(user, { headers: {} });
+  return { user, role, token: accessToken };
+}
+
+module.exports = { startApi, signInWithCapabilities };
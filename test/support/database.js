@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Test database: an in-process PostgreSQL (PGlite) with every migration
+ * applied, queried through a Prisma client generated for it. That client uses
+ * Prisma's query compiler, so no native engine or database server is needed.
+ *
+ * Call useTestDatabase() at the top of a test file, before requiring anything
+ * from src/: every `new PrismaClient()` made afterwards (including the ones
+ * created when src/ modules load) talks to this database.
+ */
+
+const ROOT = path.resolve(__dirname, '../..');
+const SCHEMA = path.join(ROOT, 'prisma/schema.prisma');
+const MIGRATIONS = path.join(ROOT, 'prisma/migrations');
+const CLIENT_DIR = path.join(ROOT, 'node_modules/.cache/prisma-test');
+
+function hasSchemaEngine() {
+  const enginesDir = path.dirname(require.resolve('@prisma/engines/package.json'));
+  return fs.readdirSync(enginesDir).some(name => name.startsWith('schema-engine'));
+}
+
+// Generate the test client again only when the schema changed since the last run
+function generateClient() {
+  const schema = fs.readFileSync(SCHEMA, 'utf8').replace(
+    /provider\s*=\s*"prisma-client-js"/,
+    'provider = "prisma-client-js"\n  engineType = "client"\n  output = "./client"'
+  );
+  const hash = crypto.createHash('sha256').update(schema).digest('hex');
+  const hashFile = path.join(CLIENT_DIR, 'schema.sha256');
+  if (fs.existsSync(hashFile) && fs.readFileSync(hashFile, 'utf8') === hash) return;
+
+  fs.mkdirSync(CLIENT_DIR, { recursive: true });
+  const schemaFile = path.join(CLIENT_DIR, 'schema.prisma');
+  fs.writeFileSync(schemaFile, schema);
+  execFileSync(process.execPath, [require.resolve('prisma/build/index.js'), 'generate', '--schema', schemaFile], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      DATABASE_URL: process.env.DATABASE_URL || 'postgresql://test@localhost/test',
+      // generate never starts the schema engine, but the CLI downloads it when it
+      // is missing; a placeholder lets the tests run without network access
+      ...(!hasSchemaEngine() && { PRISMA_SCHEMA_ENGINE_BINARY: process.execPath })
+    },
+    stdio: 'pipe'
+  });
+  fs.writeFileSync(hashFile, hash);
+}
+
+async function migrate(db) {
+  const migrations = fs.readdirSync(MIGRATIONS)
+    .filter(name => fs.statSync(path.join(MIGRATIONS, name)).isDirectory())
+    .sort();
+  for (const name of migrations) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS, name, 'migration.sql'), 'utf8'));
+  }
+}
+
+/**
+ * Start a fresh database for the current test file and route @prisma/client
+ * to it. Resolves to { prisma, close } where `prisma` is an unscoped client.
+ */
+async function useTestDatabase() {
+  const { PGlite } = require('@electric-sql/pglite');
+  const { PrismaPGlite } = require('pglite-prisma-adapter');
+
+  generateClient();
+  const db = new PGlite();
+  await migrate(db);
+
+  const generated = require(path.join(CLIENT_DIR, 'client'));
+  class PrismaClient extends generated.PrismaClient {
+    constructor(options = {}) {
+      super({ ...options, adapter: new PrismaPGlite(db) });
+    }
+  }
+  const clientPath = require.resolve('@prisma/client');
+  require.cache[clientPath] = {
+    id: clientPath,
+    filename: clientPath,
+    loaded: true,
+    exports: { ...generated, PrismaClient }
+  };
+
+  const prisma = new PrismaClient();
+  return {
+    prisma,
+    async close() {
+      await prisma.$disconnect();
+      await db.close();
+    }
+  };
+}
+
+module.exports = { useTestDatabase };
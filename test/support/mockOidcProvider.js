@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect provider for tests: discovery, an authorize endpoint
+ * that logs in whoever was announced with nextLogin(claims) without showing a
+ * page, a token endpoint issuing RS256 ID tokens and the matching JWKS.
+ * Client secrets and PKCE verifiers are not checked.
+ */
+async function startMockOidcProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = 'mock-idp';
+  const codes = new Map();
+  let pendingClaims = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    if (!pendingClaims) return res.status(400).send('No login announced with nextLogin()');
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims: pendingClaims, nonce: req.query.nonce, clientId: req.query.client_id });
+    pendingClaims = null;
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant) return res.status(400).json({ error: 'invalid_grant' });
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: keyId, issuer, audience: grant.clientId, expiresIn: 300 }
+    );
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  return {
+    issuer,
+    // Claims of the user the next authorization request logs in (`sub`, `email`, ...)
+    nextLogin(claims) {
+      pendingClaims = claims;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let scoped;
+let runWithTenant;
+const orgs = {};
+
+// Run a query as the given organization, the way authenticateToken does for a request.
+// Prisma queries only start when awaited, so the await has to happen inside the context.
+const as = (org, fn) => runWithTenant(org.id, async () => await fn());
+
+// Pass `req` through authenticateToken and run `query` in the request's context
+function queryAuthenticated(req, query) {
+  const authenticateToken = require('../src/middleware/auth');
+  return new Promise((resolve, reject) => {
+    const res = { status: code => ({ json: body => reject(new Error(`${code} ${JSON.stringify(body)}`)) }) };
+    authenticateToken(req, res, () => query().then(resolve, reject));
+  });
+}
+
+async function seedOrganization(slug) {
+  const organization = await prisma.organization.findUnique({ where: { slug } }) ||
+    await prisma.organization.create({ data: { name: slug, slug } });
+  const role = await prisma.role.create({ data: { name: `${slug}-trainee`, organizationId: organization.id } });
+  const user = await prisma.user.create({
+    data: { email: `${slug}@example.com`, password: 'x', organizationId: organization.id, roleId: role.id }
+  });
+  const course = await prisma.course.create({
+    data: { title: `${slug} course`, organizationId: organization.id, createdById: user.id }
+  });
+  const enrollment = await prisma.enrollment.create({
+    data: { userId: user.id, courseId: course.id, enrolledById: user.id }
+  });
+  return { id: organization.id, role, user, course, enrollment };
+}
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  const tenant = require('../src/utils/tenant');
+  runWithTenant = tenant.runWithTenant;
+  const { PrismaClient } = require('@prisma/client');
+  scoped = tenant.withTenantScope(new PrismaClient());
+
+  orgs.a = await seedOrganization('default');
+  orgs.b = await seedOrganization('beta');
+});
+
+after(() => close());
+
+test('findUnique by id only finds rows of the current organization', async () => {
+  assert.equal((await as(orgs.a, () => scoped.course.findUnique({ where: { id: orgs.a.course.id } }))).id, orgs.a.course.id);
+  assert.equal(await as(orgs.a, () => scoped.course.findUnique({ where: { id: orgs.b.course.id } })), null);
+  assert.equal(await as(orgs.b, () => scoped.user.findUnique({ where: { id: orgs.a.user.id } })), null);
+  assert.equal(await as(orgs.b, () => scoped.user.findUnique({ where: { email: 'default@example.com' } })), null);
+});
+
+test('models without their own column are scoped through their owner', async () => {
+  assert.equal(await as(orgs.a, () => scoped.enrollment.findUnique({ where: { id: orgs.b.enrollment.id } })), null);
+  const enrollments = await as(orgs.b, () => scoped.enrollment.findMany());
+  assert.deepEqual(enrollments.map(e => e.id), [orgs.b.enrollment.id]);
+});
+
+test('findMany and count only see the current organization', async () => {
+  const courses = await as(orgs.b, () => scoped.course.findMany());
+  assert.deepEqual(courses.map(c => c.id), [orgs.b.course.id]);
+  assert.equal(await as(orgs.a, () => scoped.user.count()), 1);
+  // The caller's own filter on the same column is kept alongside the tenant filter
+  assert.equal(await as(orgs.a, () => scoped.course.count({ where: { organizationId: orgs.b.id } })), 0);
+});
+
+test('update by id cannot change another organization\'s row', async () => {
+  await assert.rejects(
+    as(orgs.a, () => scoped.course.update({ where: { id: orgs.b.course.id }, data: { title: 'hijacked' } })),
+    { code: 'P2025' }
+  );
+  const { count } = await as(orgs.a, () => scoped.user.updateMany({ where: { id: orgs.b.user.id }, data: { fullName: 'hijacked' } }));
+  assert.equal(count, 0);
+
+  assert.equal((await prisma.course.findUnique({ where: { id: orgs.b.course.id } })).title, 'beta course');
+  assert.equal((await prisma.user.findUnique({ where: { id: orgs.b.user.id } })).fullName, null);
+});
+
+test('delete by id cannot remove another organization\'s row', async () => {
+  await assert.rejects(
+    as(orgs.b, () => scoped.enrollment.delete({ where: { id: orgs.a.enrollment.id } })),
+    { code: 'P2025' }
+  );
+  const { count } = await as(orgs.b, () => scoped.role.deleteMany({ where: { id: orgs.a.role.id } }));
+  assert.equal(count, 0);
+
+  assert.ok(await prisma.enrollment.findUnique({ where: { id: orgs.a.enrollment.id } }));
+  assert.ok(await prisma.role.findUnique({ where: { id: orgs.a.role.id } }));
+});
+
+test('create sets the current organization', async () => {
+  const role = await as(orgs.b, () => scoped.role.create({ data: { name: 'created-in-beta' } }));
+  assert.equal(role.organizationId, orgs.b.id);
+
+  const { count } = await as(orgs.b, () => scoped.course_Category.createMany({ data: [{ name: 'one' }, { name: 'two' }] }));
+  assert.equal(count, 2);
+  const categories = await prisma.course_Category.findMany({ where: { name: { in: ['one', 'two'] } } });
+  assert.deepEqual(categories.map(c => c.organizationId), [orgs.b.id, orgs.b.id]);
+
+  const upserted = await as(orgs.b, () => scoped.role.upsert({
+    where: { organizationId_name: { organizationId: orgs.b.id, name: 'upserted' } },
+    create: { name: 'upserted' },
+    update: {}
+  }));
+  assert.equal(upserted.organizationId, orgs.b.id);
+});
+
+test('create cannot set another organization', async () => {
+  await assert.rejects(
+    as(orgs.b, () => scoped.course.create({ data: { title: 'planted', organizationId: orgs.a.id, createdById: orgs.b.user.id } })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  await assert.rejects(
+    as(orgs.b, () => scoped.role.update({ where: { id: orgs.b.role.id }, data: { organizationId: orgs.a.id } })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  assert.equal(await prisma.course.count({ where: { title: 'planted' } }), 0);
+});
+
+test('writes cannot reference rows of another organization', async () => {
+  // Child models without their own column, by foreign key...
+  await assert.rejects(
+    as(orgs.b, () => scoped.enrollment.create({
+      data: { userId: orgs.b.user.id, courseId: orgs.a.course.id, enrolledById: orgs.b.user.id }
+    })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  await assert.rejects(
+    as(orgs.a, () => scoped.module.createMany({ data: [{ title: 'm', courseId: orgs.b.course.id, videoLink: 'v', order: 1 }] })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  // ...through relation connects...
+  await assert.rejects(
+    as(orgs.b, () => scoped.enrollment.create({
+      data: { user: { connect: { id: orgs.a.user.id } }, course: { connect: { id: orgs.b.course.id } }, enrolledBy: { connect: { id: orgs.b.user.id } } }
+    })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  // ...and on updates of the tenant's own rows
+  await assert.rejects(
+    as(orgs.a, () => scoped.user.update({ where: { id: orgs.a.user.id }, data: { roleId: orgs.b.role.id } })),
+    { code: 'TENANT_VIOLATION' }
+  );
+  await assert.rejects(
+    as(orgs.a, () => scoped.enrollment.update({ where: { id: orgs.a.enrollment.id }, data: { courseId: orgs.b.course.id } })),
+    { code: 'TENANT_VIOLATION' }
+  );
+
+  assert.equal(await prisma.enrollment.count(), 2);
+  assert.equal((await prisma.user.findUnique({ where: { id: orgs.a.user.id } })).roleId, orgs.a.role.id);
+});
+
+test('writes referencing rows of the same organization go through', async () => {
+  const course = await as(orgs.b, () => scoped.course.create({ data: { title: 'second beta course', createdById: orgs.b.user.id } }));
+  const enrollment = await as(orgs.b, () => scoped.enrollment.create({
+    data: { userId: orgs.b.user.id, courseId: course.id, enrolledById: orgs.b.user.id }
+  }));
+  assert.equal(enrollment.courseId, course.id);
+  await prisma.enrollment.delete({ where: { id: enrollment.id } });
+  await prisma.course.delete({ where: { id: course.id } });
+});
+
+test('queries outside a tenant context are not scoped', async () => {
+  assert.equal(await scoped.course.count(), 2);
+});
+
+test('a JWT runs the request as the organization in its `org` claim', async () => {
+  const { createSession } = require('../src/utils/session');
+  const { accessToken } = await createSession(orgs.b.user, { headers: {} });
+
+  const req = { method: 'GET', headers: { authorization: `Bearer ${accessToken}` } };
+  const courses = await queryAuthenticated(req, () => scoped.course.findMany());
+
+  assert.equal(req.user.org, orgs.b.id);
+  assert.deepEqual(courses.map(c => c.id), [orgs.b.course.id]);
+});
+
+test('an API key runs the request as the organization of its owner', async () => {
+  const { generateApiKey } = require('../src/utils/apiKey');
+  const { key, prefix, keyHash } = generateApiKey();
+  await prisma.apiKey.create({ data: { name: 'import', prefix, keyHash, userId: orgs.a.user.id } });
+
+  const req = { method: 'GET', headers: { 'x-api-key': key } };
+  const users = await queryAuthenticated(req, () => scoped.user.findMany());
+
+  assert.equal(req.user.org, orgs.a.id);
+  assert.deepEqual(users.map(u => u.id), [orgs.a.user.id]);
+});
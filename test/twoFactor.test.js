@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const { useTestDatabase } = require('./support/database');
+const { startApi } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let api;
+let twoFactor;
+
+// A user with two-factor authentication enabled, and the plain secret to make codes with
+async function enrolledUser(email) {
+  const { secret, encryptedSecret } = await twoFactor.generateEnrollment({ email });
+  const user = await prisma.user.create({
+    data: { email, password: 'x', twoFactorEnabled: true, twoFactorSecret: encryptedSecret, twoFactorEnabledAt: new Date() }
+  });
+  return { user, secret };
+}
+
+// The code of the time step `offset` steps away from now
+function codeAt(secret, offset) {
+  const step = authenticator.allOptions().step;
+  return authenticator.clone({ epoch: Date.now() + offset * step * 1000 }).generate(secret);
+}
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  twoFactor = require('../src/utils/twoFactor');
+  api = await startApi({ '/api/auth': require('../src/routes/auth') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+});
+
+test('a TOTP code is accepted only once', async () => {
+  const { user, secret } = await enrolledUser('once@example.com');
+  const code = authenticator.generate(secret);
+
+  assert.equal(await twoFactor.consumeTotp(user, code), true);
+  assert.equal(await twoFactor.consumeTotp(user, code), false);
+});
+
+test('codes from steps before the last accepted one are refused', async () => {
+  const { user, secret } = await enrolledUser('drift@example.com');
+
+  assert.equal(await twoFactor.consumeTotp(user, authenticator.generate(secret)), true);
+  assert.equal(await twoFactor.consumeTotp(user, codeAt(secret, -1)), false);
+  assert.equal(await twoFactor.consumeTotp(user, codeAt(secret, 1)), true);
+});
+
+test('a code used for one login cannot complete another', async () => {
+  const { signChallengeToken } = require('../src/utils/session');
+  const { user, secret } = await enrolledUser('replay@example.com');
+  const code = authenticator.generate(secret);
+  const login = () => api.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: signChallengeToken(user.id, 'two_factor_login'), code }
+  });
+
+  assert.equal((await login()).status, 200);
+  const replay = await login();
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.code, 'INVALID_TWO_FACTOR_CODE');
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+const { startApi, signInWithCapabilities } = require('./support/api');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let api;
+let admin;
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  admin = await signInWithCapabilities(prisma, 'admin@example.com', ['purge_user', 'view_all_users', 'search_users', 'impersonate_users']);
+  api = await startApi({ '/api/users': require('../src/routes/user') });
+});
+
+after(async () => {
+  await api.close();
+  await close();
+});
+
+test('purging a user redacts their personal data from audit records and import reports', async () => {
+  const user = await prisma.user.create({
+    data: { email: 'Leaver@example.com', password: 'x', fullName: 'Lee Leaver', phoneNumber: '555-0100', isActive: false }
+  });
+  const created = await prisma.auditLog.create({
+    data: {
+      action: 'user.create',
+      entityType: 'User',
+      entityId: String(user.id),
+      after: { id: user.id, email: user.email, fullName: 'Lee Leaver', roleId: null }
+    }
+  });
+  const updated = await prisma.auditLog.create({
+    data: {
+      actorId: admin.user.id,
+      action: 'user.update',
+      entityType: 'User',
+      entityId: String(user.id),
+      before: { phoneNumber: '555-0199' },
+      after: { phoneNumber: '555-0100' }
+    }
+  });
+  const job = await prisma.userImportJob.create({
+    data: {
+      createdById: admin.user.id,
+      fileName: 'people.csv',
+      report: [
+        { row: 2, email: 'leaver@example.com', action: 'create', status: 'ok' },
+        { row: 3, email: 'stayer@example.com', action: 'create', status: 'ok' }
+      ]
+    }
+  });
+
+  const { status } = await api.request('POST', `/api/users/${user.id}/purge`, {
+    token: admin.token,
+    body: { confirmEmail: 'leaver@example.com' }
+  });
+  assert.equal(status, 200);
+
+  const createLog = await prisma.auditLog.findUnique({ where: { id: created.id } });
+  assert.deepEqual(createLog.after, { id: user.id, email: '[redacted]', fullName: '[redacted]', roleId: null });
+  const updateLog = await prisma.auditLog.findUnique({ where: { id: updated.id } });
+  assert.deepEqual([updateLog.before, updateLog.after], [{ phoneNumber: '[redacted]' }, { phoneNumber: '[redacted]' }]);
+
+  const { report } = await prisma.userImportJob.findUnique({ where: { id: job.id } });
+  assert.deepEqual(report.map(row => row.email), ['[redacted]', 'stayer@example.com']);
+});
+
+test('the user directory stays a bare array unless paging params are sent', async () => {
+  await prisma.user.createMany({
+    data: [1, 2, 3].map(n => ({ email: `directory-${n}@example.com`, password: 'x' }))
+  });
+
+  const all = await api.request('GET', '/api/users', { token: admin.token });
+  assert.equal(all.status, 200);
+  assert.ok(Array.isArray(all.body));
+  assert.ok(all.body.some(user => user.email === 'directory-3@example.com'));
+
+  const found = await api.request('GET', '/api/users/search/directory-', { token: admin.token });
+  assert.deepEqual(found.body.map(user => user.email), [1, 2, 3].map(n => `directory-${n}@example.com`));
+
+  const paged = await api.request('GET', '/api/users/search/directory-?limit=2', { token: admin.token });
+  assert.equal(paged.body.total, 3);
+  assert.deepEqual(paged.body.data.map(user => user.email), ['directory-1@example.com', 'directory-2@example.com']);
+  assert.equal(paged.body.nextCursor, paged.body.data[1].id);
+});
+
+test('users of another organization cannot be impersonated or probed', async () => {
+  const other = await prisma.organization.create({ data: { name: 'Other', slug: 'other' } });
+  const otherSupport = await prisma.role.create({
+    data: {
+      name: 'support',
+      organizationId: other.id,
+      roleCapabilities: { create: [{ capability: { connect: { name: 'impersonate_users' } } }] }
+    }
+  });
+  const trainee = await prisma.user.create({ data: { email: 'trainee@other.example', password: 'x', organizationId: other.id } });
+  const support = await prisma.user.create({
+    data: { email: 'support@other.example', password: 'x', organizationId: other.id, roleId: otherSupport.id }
+  });
+
+  for (const user of [trainee, support]) {
+    const { status } = await api.request('POST', `/api/users/${user.id}/impersonate`, { token: admin.token });
+    assert.equal(status, 404);
+  }
+});
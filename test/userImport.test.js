@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./support/database');
+
+process.env.JWT_SECRET = 'test-secret';
+
+let prisma;
+let close;
+let runUserImport;
+let importer;
+let course;
+
+// The request of an importer whose role holds `capabilities`, as authorize() leaves it
+const requestWith = (...capabilities) => ({
+  user: { userId: importer.id },
+  currentUser: { role: { capabilities: new Set(['import_users', ...capabilities]) } },
+  headers: {}
+});
+
+before(async () => {
+  ({ prisma, close } = await useTestDatabase());
+  ({ runUserImport } = require('../src/utils/userImport'));
+  await prisma.role.create({ data: { name: 'instructor' } });
+  importer = await prisma.user.create({ data: { email: 'importer@example.com', password: 'x' } });
+  course = await prisma.course.create({ data: { title: 'Safety', createdById: importer.id } });
+});
+
+after(() => close());
+
+test('rows setting a role need the change_user_role capability', async () => {
+  const rows = [{ rowNumber: 2, email: 'role@example.com', role: 'instructor' }];
+
+  const denied = await runUserImport(rows, { req: requestWith() });
+  assert.equal(denied.errorCount, 1);
+  assert.match(denied.rows[0].errors[0], /change_user_role/);
+  assert.equal(await prisma.user.count({ where: { email: 'role@example.com' } }), 0);
+
+  const allowed = await runUserImport(rows, { req: requestWith('change_user_role') });
+  assert.equal(allowed.successCount, 1);
+  const user = await prisma.user.findUnique({ where: { email: 'role@example.com' }, include: { role: true } });
+  assert.equal(user.role.name, 'instructor');
+});
+
+test('rows listing courses need the enroll_courses capability', async () => {
+  const rows = [{ rowNumber: 2, email: 'learner@example.com', courses: String(course.id) }];
+
+  const denied = await runUserImport(rows, { req: requestWith() });
+  assert.equal(denied.errorCount, 1);
+  assert.match(denied.rows[0].errors[0], /enroll_courses/);
+  assert.equal(await prisma.enrollment.count(), 0);
+
+  const allowed = await runUserImport(rows, { req: requestWith('enroll_courses') });
+  assert.equal(allowed.successCount, 1);
+  assert.equal(allowed.rows[0].enrolled, 1);
+});
+
+test('rows with only profile columns need no further capability', async () => {
+  const result = await runUserImport([{ rowNumber: 2, email: 'plain@example.com', fullName: 'Plain' }], { req: requestWith() });
+  assert.equal(result.successCount, 1);
+});
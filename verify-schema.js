@@ -26,7 +26,7 @@ async function verifySchema() {
     console.log(`   Submissions: ${submissionCount}\n`);
 
     // Test complex query with relations
-    const enrollmentsWithCourses = await prisma.enrollment.findMany({
+    await prisma.enrollment.findMany({
       include: {
         user: true,
         course: {